@@ -33,44 +33,145 @@ function indexedSelector(node) {
   return `${tagName}:nth-of-type(${i})`;
 }
 
-const pathSelector = (path) => {
-  let context = path.shift();
+// Stable elements are identified the same way on every client, no matter what
+// else is on the page
+const anchorSelector = (el) => {
+  const anchor = el.getAttribute("data-cursor-anchor");
+  if (anchor) return `[data-cursor-anchor="${CSS.escape(anchor)}"]`;
 
-  let el = context;
-  if (el.__path_selector) return el.__path_selector;
+  if (el.id) return `#${CSS.escape(el.id)}`;
+};
+
+const OBSERVER_OPTIONS = {
+  childList: true,
+  subtree: true,
+  attributes: true,
+  attributeFilter: ["id", "data-cursor-anchor"],
+};
+
+// Max number of cached selectors (the least recently built ones are dropped first)
+const MAX_CACHED_SELECTORS = 200;
+
+// Built selectors by target elements (owned by a cursors element while it's tracking).
+// An entry is dropped when its target is removed or when the DOM changes around it
+// (within the document and the shadow roots we've built selectors in)
+class SelectorsCache {
+  constructor() {
+    this.entries = new Map();
+    this.roots = new WeakSet();
+    this.observer = new MutationObserver((mutations) =>
+      this._invalidate(mutations)
+    );
+  }
+
+  get(target) {
+    return this.entries.get(target);
+  }
+
+  set(target, entry) {
+    // Map keeps the insertion order, so the first entry is the oldest one
+    this.entries.delete(target);
+    this.entries.set(target, entry);
+
+    if (this.entries.size > MAX_CACHED_SELECTORS) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  observe(root) {
+    if (this.roots.has(root)) return;
+
+    this.roots.add(root);
+    this.observer.observe(root, OBSERVER_OPTIONS);
+  }
 
-  let pathSelector;
+  disconnect() {
+    this.observer.disconnect();
+    this.entries.clear();
+    this.roots = new WeakSet();
+  }
+
+  // Selectors depend on the targets' ancestors: their positions among siblings
+  // and their attributes
+  _invalidate(mutations) {
+    if (!this.entries.size) return;
 
-  while (context) {
-    if (context.localName) {
-      let indexSelector = indexedSelector(context);
-      let delimiter = pathSelector ? " > " + pathSelector : "";
+    const changed = new Set(mutations.map((mutation) => mutation.target));
 
-      if (context.shadowRoot && context.shadowRoot != context.getRootNode()) {
-        delimiter = "::shadow " + pathSelector;
+    for (const target of this.entries.keys()) {
+      if (!target.isConnected || hasAncestorIn(target, changed)) {
+        this.entries.delete(target);
       }
+    }
+  }
+}
+
+// Build a selector for the element (crossing shadow boundaries via "::shadow ").
+// Within each root, the selector starts from the closest stable element (if any) instead
+// of the root, so differences in the rest of the page don't affect it.
+// When the scope element is provided, the selector is relative to it.
+// Returns the selector and the closest stable element (anchor)
+const pathSelector = (target, scope, cache) => {
+  const cached = cache.get(target);
+  if (cached && cached.scope === scope) return cached;
+
+  const parts = [];
+  let anchor;
+  let el = target;
+
+  while (el) {
+    const root = el.getRootNode();
+    const chain = [];
+    let reachedScope = false;
+
+    cache.observe(root);
+
+    for (let node = el; node && node !== root; node = node.parentNode) {
+      if (node === scope) {
+        reachedScope = true;
+        // Selectors are resolved via scope.querySelector(), which matches any descendants
+        if (chain.length) chain.unshift(":scope");
+        break;
+      }
+
+      const stable = anchorSelector(node);
 
-      pathSelector = indexSelector + delimiter;
+      if (stable) {
+        chain.unshift(stable);
+        if (!anchor) anchor = node;
+        break;
+      }
+
+      chain.unshift(indexedSelector(node));
     }
 
-    context = path.shift();
+    parts.unshift(chain.join(" > "));
+
+    if (reachedScope) break;
+
+    // Continue with the shadow host (if any)
+    el = root.host;
   }
 
-  el.__path_selector = pathSelector;
-  return pathSelector;
+  const result = { path: parts.join("::shadow "), anchor, scope };
+  cache.set(target, result);
+
+  return result;
 };
 
-const pathLocator = (path) => {
+const pathLocator = (path, scope) => {
   const parts = path.split("::shadow ");
 
-  let root = document;
-  let el;
+  let root = scope || document;
+  let el = scope;
+
+  for (const part of parts) {
+    if (!root) return;
 
-  while (parts.length) {
-    let part = parts.shift();
-    el = root.querySelector(part);
+    // A blank part stands for the scope element itself
+    el = part ? root.querySelector(part) : el;
 
-    if (!el) break;
+    if (!el) return;
 
     root = el.shadowRoot;
   }
@@ -78,30 +179,205 @@ const pathLocator = (path) => {
   return el;
 };
 
+// The scrollable area of the scope element (or the whole document) in viewport coordinates
+const scrollArea = (scope) => {
+  if (!scope) {
+    const doc = document.documentElement;
+
+    return {
+      left: -window.scrollX,
+      top: -window.scrollY,
+      width: doc.scrollWidth,
+      height: doc.scrollHeight,
+    };
+  }
+
+  const rect = scope.getBoundingClientRect();
+
+  return {
+    left: rect.left + scope.clientLeft - scope.scrollLeft,
+    top: rect.top + scope.clientTop - scope.scrollTop,
+    width: scope.scrollWidth,
+    height: scope.scrollHeight,
+  };
+};
+
+const relativePoint = (rect, clientX, clientY) => {
+  return {
+    x: (clientX - rect.left) / rect.width,
+    y: (clientY - rect.top) / rect.height,
+  };
+};
+
+// Describe the pointer position for other clients:
+//   - `path`, `x`, `y` — the element under the pointer and the relative position within it;
+//   - `anchor` — the same for the closest stable ancestor (if it's not the element itself);
+//   - `page` — the relative position within the scope element or the document
+//     (used when nothing else matches)
+const buildLocation = (target, clientX, clientY, scope, cache) => {
+  const { path, anchor } = pathSelector(target, scope, cache);
+  const location = {
+    path,
+    ...relativePoint(target.getBoundingClientRect(), clientX, clientY),
+  };
+
+  if (anchor && anchor !== target) {
+    location.anchor = {
+      path: pathSelector(anchor, scope, cache).path,
+      ...relativePoint(anchor.getBoundingClientRect(), clientX, clientY),
+    };
+  }
+
+  location.page = relativePoint(scrollArea(scope), clientX, clientY);
+
+  return location;
+};
+
+// Find the viewport point for the location (see buildLocation).
+// Hidden elements are skipped, since they have no meaningful position
+const resolveLocation = ({ path, x, y, anchor, page }, scope) => {
+  for (const target of [{ path, x, y }, anchor]) {
+    if (!target) continue;
+
+    const el = pathLocator(target.path, scope);
+
+    if (!el) continue;
+
+    const rect = el.getBoundingClientRect();
+
+    if (!rect.width && !rect.height) continue;
+
+    return [
+      rect.left + target.x * rect.width,
+      rect.top + target.y * rect.height,
+    ];
+  }
+
+  if (!page) return;
+
+  const area = scrollArea(scope);
+
+  return [area.left + page.x * area.width, area.top + page.y * area.height];
+};
+
+// Peers' data comes from other clients, so we must not let them make us fetch
+// arbitrary URLs: only HTTPS and inline images are allowed as avatars
+const safeAvatar = (url) => {
+  if (typeof url !== "string") return undefined;
+
+  if (/^data:image\//i.test(url)) return url;
+
+  try {
+    return new URL(url).protocol === "https:" ? url : undefined;
+  } catch (e) {
+    return undefined;
+  }
+};
+
+// Colors are interpolated into inline styles, so they must be plain colors
+const safeColor = (color) =>
+  typeof color === "string" && CSS.supports("color", color) ? color : undefined;
+
+// Inline styles used to lay the element over the `for` container
+const BOX_PROPS = ["top", "left", "right", "bottom", "width", "height"];
+
+const hasAncestorIn = (el, nodes) => {
+  for (let node = el; node; node = node.parentNode || node.host) {
+    if (nodes.has(node)) return true;
+  }
+
+  return false;
+};
+
+const isWithin = (el, scope) => {
+  for (let node = el; node; node = node.parentNode || node.host) {
+    if (node === scope) return true;
+  }
+
+  return false;
+};
+
+// document.elementFromPoint() stops at shadow hosts, so we dig into open shadow roots
+const deepElementFromPoint = (x, y) => {
+  let el = document.elementFromPoint(x, y);
+
+  while (el && el.shadowRoot) {
+    const inner = el.shadowRoot.elementFromPoint(x, y);
+    if (!inner || inner === el) break;
+    el = inner;
+  }
+
+  return el;
+};
+
+// Custom properties values for the light theme (dark is the default one)
+const lightTheme = css`
+  --_cursor-outline-color: var(--cursor-outline-color, white);
+  --_cursor-shadow: var(
+    --cursor-shadow,
+    drop-shadow(0 1px 2px rgb(0 0 0 / 0.3))
+  );
+  --_roster-color: var(--roster-color, rgb(30 41 59));
+  --_roster-bg: var(--roster-bg, rgb(248 250 252));
+`;
+
 class Cursor {
-  constructor(id, el, ttl = 10000) {
+  constructor(id, el, ttl = 10000, scope = null) {
     this.id = id;
     this.el = el;
     this.ttl = ttl;
+    this.scope = scope;
     this.pc = new PerfectCursor(this.update.bind(this));
   }
 
-  keepalive(location) {
-    const { path, x, y } = location;
+  // Fill in the user's color, name and avatar. Custom templates can mark elements
+  // with the data-cursor-name and data-cursor-avatar attributes to receive them
+  identify({ color, name, avatar }) {
+    this.el.style.color = color;
+    this.el.style.setProperty("--cursor-color", color);
 
-    const el = pathLocator(path);
+    for (const label of this.el.querySelectorAll("[data-cursor-name]")) {
+      label.textContent = name || "";
+      label.hidden = !name;
+    }
 
-    if (!el) return;
+    for (const img of this.el.querySelectorAll("[data-cursor-avatar]")) {
+      if (avatar) {
+        img.src = avatar;
+      } else {
+        img.removeAttribute("src");
+      }
 
-    const rect = el.getBoundingClientRect();
+      img.hidden = !avatar;
+    }
+  }
 
-    // console.log(path, el, rect, x, y);
+  // Prolong the cursor's life without moving it (e.g., on heartbeats)
+  touch() {
+    this.deadline = Date.now();
+  }
 
-    const newX = rect.left + x * rect.width;
-    const newY = rect.top + y * rect.height;
+  // Pointer type is "mouse", "pen" or "touch" (touches are displayed differently)
+  keepalive(location, pointer = "mouse") {
+    this.location = location;
+    this.el.dataset.pointer = pointer;
 
     this.deadline = Date.now();
-    this.pc.addPoint([newX, newY]);
+    this.reposition();
+  }
+
+  // Recalculate the position from the stored location (e.g., when the local layout changes)
+  reposition() {
+    if (!this.location) return;
+
+    const point = resolveLocation(this.location, this.scope);
+
+    if (!point) return;
+
+    // Cursors are positioned within the overlay
+    const origin = this.el.parentElement.getBoundingClientRect();
+
+    this.pc.addPoint([point[0] - origin.left, point[1] - origin.top]);
   }
 
   update(point) {
@@ -121,9 +397,50 @@ class Cursor {
   }
 }
 
+/**
+ * Shows other users' cursors.
+ *
+ * @attr theme - "dark" (default), "light" or "auto" (follows the system color scheme)
+ * @attr roster - Show the list of active users
+ * @attr for - ID of the element to confine cursors to (instead of the whole document)
+ * @attr user-name - The current user's name (shown next to their cursor for others)
+ * @attr user-avatar - The current user's avatar URL
+ *
+ * @slot - A <template> to override the cursor markup (cursors are rendered in the shadow root,
+ * so style them via parts or a <style> inside the template); any other content becomes
+ * the container cursors are confined to
+ *
+ * @csspart overlay - The layer cursors are rendered in
+ * @csspart cursor - A remote cursor
+ * @csspart cursor-label - A remote cursor's name label
+ * @csspart cursor-avatar - A remote cursor's avatar
+ * @csspart roster - The active users list
+ * @csspart peer - An active users list item
+ *
+ * @fires anycable-cursors:peers-change - Somebody joined or left (`detail.peers`)
+ */
 export class AnyCableCursorsElement extends LitElement {
   static get properties() {
-    return {};
+    return {
+      // Color scheme: "dark" (default), "light" or "auto"
+      theme: { type: String, reflect: true },
+      roster: { type: Boolean },
+      // ID of the element to confine cursors to
+      containerId: { type: String, attribute: "for" },
+    };
+  }
+
+  // Active users (including the current one) as `{ id, color, name, avatar }` objects
+  get peers() {
+    return [
+      this._identity,
+      ...[...this._peers.values()].map(({ id, color, name, avatar }) => ({
+        id,
+        color,
+        name,
+        avatar,
+      })),
+    ];
   }
 
   constructor() {
@@ -137,6 +454,8 @@ export class AnyCableCursorsElement extends LitElement {
     }
 
     this.userId = this.getAttribute("user-id") || nanoid();
+    this.userName = this.getAttribute("user-name");
+    this.userAvatar = this.getAttribute("user-avatar");
     this.color = this.getAttribute("color") || getRandomColor();
     this.url = this.getAttribute("url");
     this.streamName = this.getAttribute("stream-name");
@@ -145,8 +464,16 @@ export class AnyCableCursorsElement extends LitElement {
 
     this.connected = false;
     this.cursors = {};
+    // Other users by ID: { id, color, lastSeenAt }
+    this._peers = new Map();
+    // Presence must be confirmed more often than it expires
+    this.heartbeatInterval = Math.max(1000, Math.floor(this.ttl / 3));
+
     this._handleMessage = this._handleMessage.bind(this);
     this._handleMove = this._handleMove.bind(this);
+    this._handleLayoutChange = this._handleLayoutChange.bind(this);
+    this._handlePageHide = this._handlePageHide.bind(this);
+    this._handlePageShow = this._handlePageShow.bind(this);
 
     if (this.throttle) {
       this._whisperMove = throttle(this._whisperMove.bind(this), this.throttle);
@@ -178,6 +505,7 @@ export class AnyCableCursorsElement extends LitElement {
 
     this.channel.on("connect", () => {
       this._start();
+      this._whisperPresence("join");
     });
 
     this.channel.on("disconnect", () => {
@@ -185,83 +513,435 @@ export class AnyCableCursorsElement extends LitElement {
     });
 
     this.channel.on("message", this._handleMessage);
+
+    window.addEventListener("pagehide", this._handlePageHide);
+    window.addEventListener("pageshow", this._handlePageShow);
   }
 
   disconnect() {
     if (this.cable) {
-      this.cable.disconnect();
-      for (const id in this.cursors) {
-        const cursor = this.cursors[id];
-        cursor.die();
+      window.removeEventListener("pagehide", this._handlePageHide);
+      window.removeEventListener("pageshow", this._handlePageShow);
+
+      this._stop();
+
+      const cable = this.cable;
+
+      // Let others know we're leaving before closing the connection
+      if (this.channel.state === "connected") {
+        this._whisperPresence("leave").finally(() => cable.disconnect());
+      } else {
+        cable.disconnect();
       }
-      this.cursors = {};
+
+      this._clearCursors();
+      this._peers.clear();
+      this._peersChanged();
       this.connected = false;
     }
   }
 
+  updated(changed) {
+    super.updated(changed);
+
+    if (changed.has("containerId")) {
+      this._updateContained();
+      this._rescope();
+    }
+  }
+
+  // Wrapping content means tracking within it. Content can be added at any time
+  // (e.g., rendered by a framework after the element is connected)
+  _handleSlotChange() {
+    if (this._updateContained()) this._rescope();
+  }
+
+  // Returns true if the mode has changed
+  _updateContained() {
+    const slot = this.renderRoot.querySelector("slot");
+    const hasContent =
+      !!slot &&
+      slot.assignedElements().some((el) => el.localName !== "template");
+    const contained = !this.containerId && hasContent;
+
+    if (contained === this.hasAttribute("contained")) return false;
+
+    this.toggleAttribute("contained", contained);
+    return true;
+  }
+
+  // The element cursors are confined to: the `for` element, the element itself
+  // (when it wraps content) or none (the whole document)
+  _resolveScope() {
+    if (this.containerId) {
+      // The container is looked up in the same tree (document or shadow root)
+      const root = this.getRootNode();
+
+      return root.getElementById ? root.getElementById(this.containerId) : null;
+    }
+
+    return this.hasAttribute("contained") ? this : null;
+  }
+
+  // The `for` container is missing (yet), so there is nowhere to track or show cursors
+  get _waitingForContainer() {
+    return !!this.containerId && !this._scope;
+  }
+
   _start() {
-    document.addEventListener("mousemove", this._handleMove, false);
+    this._started = true;
+    this._selectors = new SelectorsCache();
+
+    // Scroll events don't bubble, so we capture them to catch nested scrollable elements, too
+    document.addEventListener("scroll", this._handleLayoutChange, {
+      capture: true,
+      passive: true,
+    });
+    window.addEventListener("resize", this._handleLayoutChange);
+
+    this._attachScope();
+
+    this._heartbeatTimer = setInterval(
+      () => this._whisperPresence("heartbeat"),
+      this.heartbeatInterval
+    );
   }
 
   _stop() {
-    document.removeEventListener("mousemove", this._handleMove);
+    this._started = false;
+
+    this._detachScope();
+
+    document.removeEventListener("scroll", this._handleLayoutChange, {
+      capture: true,
+    });
+    window.removeEventListener("resize", this._handleLayoutChange);
+
+    cancelAnimationFrame(this._layoutFrame);
+    delete this._layoutFrame;
+
+    clearInterval(this._heartbeatTimer);
+    delete this._heartbeatTimer;
+
+    if (this._selectors) {
+      this._selectors.disconnect();
+      delete this._selectors;
+    }
+  }
+
+  _attachScope() {
+    this._scope = this._resolveScope();
+
+    // Wait for the container to appear and follow it if it's replaced or removed
+    if (this.containerId) {
+      this._containerObserver = new MutationObserver(() => {
+        if (this._resolveScope() !== this._scope) this._rescope();
+      });
+
+      this._containerObserver.observe(this.getRootNode(), {
+        childList: true,
+        subtree: true,
+        attributes: true,
+        attributeFilter: ["id"],
+      });
+    }
+
+    this._syncBox();
+
+    if (this._waitingForContainer) {
+      this._clearCursors();
+      return;
+    }
+
+    const target = (this._pointerTarget = this._scope || document);
+
+    target.addEventListener("pointermove", this._handleMove, false);
+    target.addEventListener("pointerdown", this._handleMove, false);
+
+    if (this._scope) {
+      this._resizeObserver = new ResizeObserver(this._handleLayoutChange);
+      this._resizeObserver.observe(this._scope);
+    }
+
+    for (const id in this.cursors) {
+      this.cursors[id].scope = this._scope;
+      this.cursors[id].reposition();
+    }
+  }
+
+  _detachScope() {
+    const target = this._pointerTarget;
+
+    if (target) {
+      target.removeEventListener("pointermove", this._handleMove);
+      target.removeEventListener("pointerdown", this._handleMove);
+      delete this._pointerTarget;
+    }
+
+    if (this._resizeObserver) {
+      this._resizeObserver.disconnect();
+      delete this._resizeObserver;
+    }
+
+    if (this._containerObserver) {
+      this._containerObserver.disconnect();
+      delete this._containerObserver;
+    }
+
+    delete this._scope;
+    delete this._lastPointer;
+  }
+
+  // Switch to the new container (if tracking is active)
+  _rescope() {
+    if (!this._started) return;
+
+    this._detachScope();
+    this._attachScope();
+  }
+
+  _clearCursors() {
+    for (const id in this.cursors) {
+      this.cursors[id].die();
+    }
+
+    this.cursors = {};
+  }
+
+  // In the `for` mode, the element is laid over the container
+  _syncBox() {
+    const container = this.containerId ? this._scope : null;
+
+    if (!container) {
+      if (this._boxSynced) {
+        for (const prop of BOX_PROPS) this.style.removeProperty(prop);
+        this._boxSynced = false;
+      }
+
+      return;
+    }
+
+    const rect = container.getBoundingClientRect();
+
+    this._boxSynced = true;
+
+    Object.assign(this.style, {
+      top: `${rect.top}px`,
+      left: `${rect.left}px`,
+      right: "auto",
+      bottom: "auto",
+      width: `${rect.width}px`,
+      height: `${rect.height}px`,
+    });
   }
 
-  _createCursor(id, color) {
-    const tpl = this.renderRoot.querySelector("template");
-    const clone = tpl.content.cloneNode(true);
-    const el = clone.children[0];
+  // The page could be closed or put into the back/forward cache
+  _handlePageHide() {
+    if (this.channel.state === "connected") this._whisperPresence("leave");
+  }
 
-    el.id = `cursor-${id}`;
-    el.style.color = color;
+  _handlePageShow(e) {
+    if (e.persisted && this.channel.state === "connected") {
+      this._whisperPresence("join");
+    }
+  }
 
-    this.renderRoot.appendChild(clone);
+  // A <template> child overrides the default cursor markup
+  get _cursorTemplate() {
+    return (
+      this.querySelector(":scope > template") ||
+      this.renderRoot.querySelector("template")
+    );
+  }
+
+  _createCursor(peer) {
+    const clone = this._cursorTemplate.content.cloneNode(true);
+    const el = clone.firstElementChild;
+
+    el.id = `cursor-${peer.id}`;
+
+    this.renderRoot.querySelector(".overlay").appendChild(clone);
 
     const cursor = new Cursor(
-      id,
-      this.renderRoot.getElementById(`cursor-${id}`),
-      this.ttl
+      peer.id,
+      this.renderRoot.getElementById(`cursor-${peer.id}`),
+      this.ttl,
+      this._scope
     );
+    cursor.identify(peer);
+
     return cursor;
   }
 
   _handleMove(e) {
-    const composedPath = e.composedPath();
-    const rect = composedPath[0].getBoundingClientRect();
-    const x = (e.clientX - rect.left) / rect.width;
-    const y = (e.clientY - rect.top) / rect.height;
-    const path = pathSelector(composedPath);
+    const { clientX, clientY, pointerType } = e;
+    const target = e.composedPath()[0];
 
-    // console.log(path, x, y);
+    // Ignore our own elements (e.g., the roster)
+    if (target.getRootNode() === this.renderRoot) return;
 
-    const location = { path, x, y };
+    // Remember the position to re-send it when the page scrolls under the pointer
+    this._lastPointer = { clientX, clientY, pointerType };
 
-    this._whisperMove(location);
+    this._trackPointer(target, clientX, clientY, pointerType);
   }
 
-  _whisperMove(location) {
-    this.channel.whisper({
-      event: "move",
+  _trackPointer(target, clientX, clientY, pointerType) {
+    const location = buildLocation(
+      target,
+      clientX,
+      clientY,
+      this._scope,
+      this._selectors
+    );
+
+    this._whisperMove(location, pointerType);
+  }
+
+  // Scrolling and resizing move elements under both our pointer and remote cursors;
+  // updates are coalesced to one per frame
+  _handleLayoutChange() {
+    if (this._layoutFrame) return;
+
+    this._layoutFrame = requestAnimationFrame(() => {
+      delete this._layoutFrame;
+
+      this._syncBox();
+
+      for (const id in this.cursors) {
+        this.cursors[id].reposition();
+      }
+
+      this._resendPointer();
+    });
+  }
+
+  // The pointer stays in place while the content under it changes, so we must
+  // figure out the element it's over now.
+  // Touches don't hover, so they stay attached to the content they touched
+  _resendPointer() {
+    if (!this._lastPointer) return;
+
+    const { clientX, clientY, pointerType } = this._lastPointer;
+
+    if (pointerType === "touch") return;
+
+    const el = deepElementFromPoint(clientX, clientY);
+
+    if (!el || el.getRootNode() === this.renderRoot) return;
+    // The pointer is out of the container now
+    if (this._scope && !isWithin(el, this._scope)) return;
+
+    this._trackPointer(el, clientX, clientY, pointerType);
+  }
+
+  get _identity() {
+    return {
       id: this.userId,
       color: this.color,
+      name: this.userName,
+      avatar: this.userAvatar,
+    };
+  }
+
+  // Announce the current user: "join", "heartbeat" or "leave"
+  _whisperPresence(event) {
+    return this.channel.whisper({ event, ...this._identity });
+  }
+
+  _whisperMove(location, pointer) {
+    this.channel.whisper({
+      event: "move",
+      ...this._identity,
       location,
+      pointer,
     });
   }
 
   _handleMessage(msg) {
-    if (msg.event === "move") {
-      const { id, color, location } = msg;
+    // Ignore our own whispers (in case they're echoed back)
+    if (!msg || msg.id === this.userId) return;
+
+    const { id } = msg;
+
+    switch (msg.event) {
+      case "join":
+        this._touchPeer(msg);
+        // Let the newcomer know about us right away
+        this._whisperPresence("heartbeat");
+        break;
+      case "heartbeat":
+        this._touchPeer(msg);
+        if (this.cursors[id]) this.cursors[id].touch();
+        break;
+      case "leave":
+        this._removePeer(id);
+        break;
+      case "move":
+        this._touchPeer(msg);
+
+        if (this._waitingForContainer) break;
+
+        if (!this.cursors[id]) {
+          this.cursors[id] = this._createCursor(this._peers.get(id));
+        }
+
+        this.cursors[id].keepalive(msg.location, msg.pointer);
+        break;
+    }
+
+    this._invalidateCursors();
 
-      if (!this.cursors[id]) {
-        this.cursors[id] = this._createCursor(id, color);
+    // console.log(msg);
+  }
+
+  _touchPeer({ id, color, name, avatar }) {
+    let peer = this._peers.get(id);
+
+    color = safeColor(color);
+    avatar = safeAvatar(avatar);
+
+    if (peer) {
+      peer.lastSeenAt = Date.now();
+
+      if (
+        peer.color === color &&
+        peer.name === name &&
+        peer.avatar === avatar
+      ) {
+        return;
       }
 
-      this.cursors[id].keepalive(location);
+      Object.assign(peer, { color, name, avatar });
 
-      this._invalidateCursors();
+      if (this.cursors[id]) this.cursors[id].identify(peer);
+    } else {
+      peer = { id, color, name, avatar, lastSeenAt: Date.now() };
+      this._peers.set(id, peer);
     }
 
-    // console.log(msg);
+    this._peersChanged();
+  }
+
+  _removePeer(id) {
+    if (this.cursors[id]) {
+      this.cursors[id].die();
+      delete this.cursors[id];
+    }
+
+    if (this._peers.delete(id)) this._peersChanged();
+  }
+
+  _peersChanged() {
+    this.requestUpdate();
+
+    this.dispatchEvent(
+      new CustomEvent("anycable-cursors:peers-change", {
+        bubbles: true,
+        composed: true,
+        detail: { peers: this.peers },
+      })
+    );
   }
 
   _invalidateCursors() {
@@ -273,6 +953,11 @@ export class AnyCableCursorsElement extends LitElement {
       }
     }
 
+    // Users who neither moved nor sent heartbeats are gone (e.g., lost connection)
+    for (const peer of this._peers.values()) {
+      if (Date.now() - peer.lastSeenAt > this.ttl) this._removePeer(peer.id);
+    }
+
     if (!this._tid) {
       this._tid = setTimeout(() => {
         delete this._tid;
@@ -281,12 +966,31 @@ export class AnyCableCursorsElement extends LitElement {
     }
   }
 
+  _renderRoster() {
+    return html`<ul class="roster" part="roster">
+      ${this.peers.map(
+        (peer) => html`<li class="peer" part="peer">
+          <span class="peer-color" style="background-color: ${peer.color}"></span>
+          ${
+            peer.avatar
+              ? html`<img class="peer-avatar" src=${peer.avatar} alt="" />`
+              : ""
+          }
+          ${peer.name || peer.id}${peer.id === this.userId ? " (you)" : ""}
+        </li>`
+      )}
+    </ul>`;
+  }
+
   render() {
     return html`
+      <slot @slotchange=${this._handleSlotChange}></slot>
+      <div class="overlay" part="overlay"></div>
+      ${this.roster ? this._renderRoster() : ""}
       <template>
-        <div class="cursor">
+        <div class="cursor" part="cursor">
           <svg width="15" height="21" viewBox="0 0 15 21" fill="none" xmlns="http://www.w3.org/2000/svg">
-            <path fill-rule="evenodd" clip-rule="evenodd" d="M0.487213 0.141484C0.789388 -0.0390029 1.1642 -0.0473412 1.4741 0.119529L14.4741 7.11953C14.798 7.29394 15 7.63212 15 8V16C15 16.3788 14.786 16.725 14.4472 16.8944L6.44721 20.8944C6.20425 21.0159 5.92233 21.0333 5.66627 20.9427C5.4102 20.852 5.20204 20.6611 5.08963 20.4138L0.0896335 9.4138C0.0305628 9.28385 0 9.14275 0 9V1C0 0.648027 0.185039 0.321971 0.487213 0.141484Z" fill="white"/>
+            <path fill-rule="evenodd" clip-rule="evenodd" d="M0.487213 0.141484C0.789388 -0.0390029 1.1642 -0.0473412 1.4741 0.119529L14.4741 7.11953C14.798 7.29394 15 7.63212 15 8V16C15 16.3788 14.786 16.725 14.4472 16.8944L6.44721 20.8944C6.20425 21.0159 5.92233 21.0333 5.66627 20.9427C5.4102 20.852 5.20204 20.6611 5.08963 20.4138L0.0896335 9.4138C0.0305628 9.28385 0 9.14275 0 9V1C0 0.648027 0.185039 0.321971 0.487213 0.141484Z" fill="white" class="cursor-outline"/>
             <path id="cursorBody" fill-rule="evenodd" clip-rule="evenodd" d="M1 9V2V1L14 8V9V16L6 20L1 9ZM13.037 8.48148L1.60185 2.32407L6 12L13.037 8.48148Z" fill="currentColor"/>
             <path fill-rule="evenodd" clip-rule="evenodd" d="M1 1L14 8V9V16L6 20V12L13.037 8.48148L1 2V1Z" fill="url(#paint0_linear_2849_1541)"/>
             <defs>
@@ -296,6 +1000,11 @@ export class AnyCableCursorsElement extends LitElement {
               </linearGradient>
             </defs>
           </svg>
+          <span class="cursor-touch"></span>
+          <div class="cursor-tag">
+            <img class="cursor-avatar" part="cursor-avatar" data-cursor-avatar alt="" hidden />
+            <span class="cursor-label" part="cursor-label" data-cursor-name hidden></span>
+          </div>
         </div>
       </template>
     `;
@@ -304,14 +1013,147 @@ export class AnyCableCursorsElement extends LitElement {
   static get styles() {
     return css`
       :host {
+        display: block;
+
+        /* Dark theme (default) */
+        --_cursor-outline-color: var(--cursor-outline-color, white);
+        --_cursor-shadow: var(
+          --cursor-shadow,
+          drop-shadow(0 1px 2px rgb(0 0 0 / 0.8))
+        );
+        --_cursor-label-color: var(--cursor-label-color, white);
+        --_roster-color: var(--roster-color, rgb(134 239 172));
+        --_roster-bg: var(--roster-bg, rgb(27, 14, 65));
+      }
+
+      :host(:not([contained])) {
         position: fixed;
         inset: 0;
         z-index: 10000;
+        pointer-events: none;
+      }
+
+      :host([contained]) {
+        position: relative;
+      }
+
+      :host([theme="light"]) {
+        ${lightTheme}
+      }
+
+      .overlay {
+        position: absolute;
+        inset: 0;
+        z-index: 10000;
         overflow: hidden;
         pointer-events: none;
       }
 
+      .cursor {
+        position: absolute;
+        top: 0;
+        left: 0;
+        filter: var(--_cursor-shadow);
+      }
+
+      .cursor svg {
+        display: block;
+      }
+
+      /* Touches are shown as circles around the touch point instead of arrows */
+      .cursor-touch {
+        display: none;
+        width: 24px;
+        height: 24px;
+        margin: -12px 0 0 -12px;
+        box-sizing: border-box;
+        border: 2px solid var(--_cursor-outline-color);
+        border-radius: 50%;
+        background-color: var(--cursor-color, currentColor);
+        opacity: 0.8;
+      }
+
+      .cursor[data-pointer="touch"] svg {
+        display: none;
+      }
+
+      .cursor[data-pointer="touch"] .cursor-touch {
+        display: block;
+      }
+
+      .cursor-tag {
+        position: absolute;
+        top: 18px;
+        left: 12px;
+        display: flex;
+        align-items: center;
+        gap: 4px;
+      }
+
+      .cursor-label {
+        padding: 2px 6px;
+        border-radius: 4px;
+        white-space: nowrap;
+        font-family: sans-serif;
+        font-size: 12px;
+        color: var(--_cursor-label-color);
+        background-color: var(--cursor-color, currentColor);
+      }
+
+      .cursor-avatar {
+        width: 18px;
+        height: 18px;
+        border-radius: 50%;
+        object-fit: cover;
+      }
+
+      .cursor-label[hidden],
+      .cursor-avatar[hidden] {
+        display: none;
+      }
+
+      .peer-avatar {
+        width: 1rem;
+        height: 1rem;
+        border-radius: 50%;
+        object-fit: cover;
+      }
+
+      .cursor-outline {
+        fill: var(--_cursor-outline-color);
+      }
+
+      .roster {
+        position: absolute;
+        right: 1rem;
+        bottom: 1rem;
+        margin: 0;
+        padding: 0.5rem 0.75rem;
+        list-style-type: none;
+        border-radius: 8px;
+        font-family: monospace;
+        font-size: 0.75rem;
+        color: var(--_roster-color);
+        background-color: var(--_roster-bg);
+        pointer-events: auto;
+      }
+
+      .peer {
+        display: flex;
+        align-items: center;
+        gap: 0.5rem;
+      }
+
+      .peer-color {
+        width: 0.5rem;
+        height: 0.5rem;
+        border-radius: 50%;
+      }
+
       @media (prefers-color-scheme: light) {
+        :host([theme="auto"]) {
+          ${lightTheme}
+        }
       }
     `;
   }
@@ -1 +1,3 @@
 import './logs-element.js';
+
+export { registerParser } from './logs-parsers.js';
@@ -1,347 +1,2293 @@
-import { LitElement, css, html } from "lit";
+import { LitElement, css, html, svg } from "lit";
 import { repeat } from "lit/directives/repeat.js";
-import { unsafeHTML } from "lit/directives/unsafe-html.js";
 import { minireset } from "minireset.css/minireset.css.lit.js";
+import {
+  parseQuery,
+  formatClause,
+  appendClause,
+  QuerySyntaxError,
+} from "./logs-query.js";
+import { getParser } from "./logs-parsers.js";
+import { LogSource } from "./logs-source.js";
+import { RateCounter } from "./logs-stats.js";
+import { RowOffsets } from "./logs-rows.js";
+import {
+  RESERVED_ATTRS,
+  SOURCE_ATTR,
+  normalizeLevel,
+  parseTime,
+  compileLog,
+  prepareLine,
+} from "./logs-pipeline.js";
+import { LogsWorker } from "./logs-worker-client.js";
+import {
+  readHashState,
+  writeHashState,
+  loadPresets,
+  storePresets,
+} from "./logs-state.js";
+
+const LEVELS = ["DEBUG", "INFO", "WARN", "ERROR"];
+
+// Custom properties values for the light theme (dark is the default one)
+const lightTheme = css`
+  --_console-color: var(--console-color, rgb(30 41 59));
+  --_console-bg: var(--console-bg, rgb(248 250 252));
+  --_console-hover-color: var(--console-hover-color, black);
+  --_controls-color: var(--controls-color, rgb(15 23 42));
+  --_log-info-color: var(--log-info-color, rgb(3 105 161));
+  --_log-warn-color: var(--log-warn-color, rgb(180 83 9));
+  --_log-error-color: var(--log-error-color, rgb(220 38 38));
+  --_status-color: var(--status-color, rgb(22 163 74));
+  --_status-loading-color: var(--status-loading-color, rgb(217 119 6));
+  --_status-error-color: var(--status-error-color, rgb(220 38 38));
+  --_status-offline-color: var(--status-offline-color, rgb(148 163 184));
+  --_highlight-color: var(--highlight-color, black);
+  --_highlight-bg: var(--highlight-bg, rgb(253 224 71));
+  --_source-color-lightness: var(--source-color-lightness, 35%);
+`;
+
+const TIME_FORMATS = ["raw", "utc", "local", "relative"];
+
+// Quick time range presets (in ms)
+const TIME_RANGES = {
+  "1m": 60 * 1000,
+  "5m": 5 * 60 * 1000,
+  "15m": 15 * 60 * 1000,
+  "1h": 60 * 60 * 1000,
+};
+
+const pad = (num, size = 2) => String(num).padStart(size, "0");
 
-const RESERVED_ATTRS = ["time", "level", "msg"];
+const formatTime = (ts, format) => {
+  const date = new Date(ts);
 
-const flatten = (data, acc = {}, prefix = "") => {
-  if (typeof data !== "object") {
-    if (prefix) return acc;
-    // Original input is not an object
-    return data;
+  if (format === "utc") {
+    return date.toISOString().replace("T", " ");
   }
 
-  const keyPrefix = prefix ? `${prefix}.` : "";
+  if (format === "local") {
+    return (
+      `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ` +
+      `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(
+        date.getSeconds()
+      )}.${pad(date.getMilliseconds(), 3)}`
+    );
+  }
 
-  for (let key in data) {
-    const val = data[key];
-    if (!val) continue;
+  if (format === "relative") {
+    const seconds = Math.max(0, Math.round((Date.now() - ts) / 1000));
 
-    if (typeof val === "object") {
-      flatten(val, acc, keyPrefix + key);
-    } else {
-      acc[keyPrefix + key] = val;
-    }
+    if (seconds < 60) return `${seconds}s ago`;
+    if (seconds < 3600) return `${Math.floor(seconds / 60)}m ago`;
+    if (seconds < 86400) return `${Math.floor(seconds / 3600)}h ago`;
+    return `${Math.floor(seconds / 86400)}d ago`;
+  }
+
+  return date.toISOString();
+};
+
+// Use the host name as a source name by default
+const sourceName = (url) => {
+  if (!url) return;
+
+  try {
+    return new URL(url, window.location.href).host;
+  } catch (e) {
+    return url;
   }
+};
+
+const levelsConverter = {
+  fromAttribute: (value) =>
+    value
+      ? value
+          .split(/[\s,]+/)
+          .filter(Boolean)
+          .map(normalizeLevel)
+      : [...LEVELS],
+  toAttribute: (value) => value.join(","),
+};
+
+const DEFAULT_MAX_LINES = 10000;
+// Number of rows rendered above and below the visible area
+const OVERSCAN = 10;
+// Used for rows which haven't been rendered (and measured) yet
+const ROW_HEIGHT_ESTIMATE = 24;
+
+const SPARKLINE_WIDTH = 120;
+const SPARKLINE_HEIGHT = 16;
+
+// Render a series of values as an inline SVG chart
+const sparkline = (values) => {
+  const max = Math.max(...values, 1);
+  const step = SPARKLINE_WIDTH / Math.max(values.length - 1, 1);
+
+  const points = values
+    .map(
+      (val, i) =>
+        `${(i * step).toFixed(1)},${(
+          SPARKLINE_HEIGHT -
+          (val / max) * (SPARKLINE_HEIGHT - 1)
+        ).toFixed(1)}`
+    )
+    .join(" ");
+
+  return svg`<svg class="sparkline" width=${SPARKLINE_WIDTH} height=${SPARKLINE_HEIGHT} viewBox="0 0 ${SPARKLINE_WIDTH} ${SPARKLINE_HEIGHT}" preserveAspectRatio="none">
+    <polyline points=${points} fill="none" stroke="currentColor" stroke-width="1" />
+  </svg>`;
+};
+
+const formatRate = (rate) => (rate >= 10 ? rate.toFixed(0) : rate.toFixed(1));
 
-  return acc;
+const formatAgo = (ts) => {
+  if (!ts) return "never";
+
+  return `${Math.max(0, Math.round((Date.now() - ts) / 1000))}s ago`;
 };
 
+// Marks pinned lines in exported NDJSON (to restore pins on import)
+const PINNED_ATTR = "@pinned";
+
+// Only NDJSON can be imported (text exports contain compiled lines, which can't be parsed back)
+const IMPORT_EXTENSIONS = [".ndjson", ".jsonl", ".json"];
+
+const PIN_ICON = svg`<svg xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" stroke-width="1.5" stroke="currentColor">
+  <path stroke-linecap="round" stroke-linejoin="round" d="M17.593 3.322c1.1.128 1.907 1.077 1.907 2.185V21L12 17.25 4.5 21V5.507c0-1.108.806-2.057 1.907-2.185a48.507 48.507 0 0 1 11.186 0Z" />
+</svg>`;
+
+// How often to announce new lines to screen readers (ms)
+const ANNOUNCE_INTERVAL = 5000;
+
+// How many render cycles to wait for the selected line to appear before giving up
+// (e.g., it could be filtered out in the meantime)
+const MAX_REVEAL_ATTEMPTS = 5;
+
+const pluralize = (count, word) => `${count} ${word}${count === 1 ? "" : "s"}`;
+
+// Quote a string to be safely passed as a shell argument (e.g., `curl -d '...'`)
+const shellQuote = (str) => `'${str.replace(/'/g, "'\\''")}'`;
+
 /**
- * An example element.
+ * Streams AnyCable logs into a filterable console.
  *
- * @slot - This element has a slot
- * @csspart button - The button
+ * @attr url - Logs endpoint (SSE) or cable URL (WebSockets); changing it reconnects the element.
+ *   Multiple whitespace-separated URLs (or <anycable-log-source> children) are merged into a single timeline
+ * @attr transport - "sse" (default) or "ws"
+ * @attr filter - Filter query
+ * @attr levels - Comma-separated list of visible log levels
+ * @attr max-lines - Buffer size limit
+ * @attr paused - Whether the console view is frozen
+ * @attr stats - Show the throughput and connection health panel
+ * @attr sync-url - Keep the filter, levels and paused state in the page URL hash
+ * @attr theme - "dark" (default), "light" or "auto" (follows the system color scheme)
+ * @attr worker - Parse and filter lines in a Web Worker (falls back to the main thread if workers are unavailable)
+ *
+ * @csspart console - The lines container
+ * @csspart line - A log line (also exposed as `line-<level>`, e.g., `line-error`)
+ * @csspart toolbar - The navigation bar with the filter and controls
+ * @csspart status - A connection status indicator
+ * @csspart stats - The stats panel
+ * @csspart pins - The pinned lines panel
+ *
+ * @fires anycable-logs:line - A new line has been added (`detail.entry` is the original log entry)
+ * @fires anycable-logs:connect - A source has connected (`detail.source`; `detail.restored` tells if the stream was resumed)
+ * @fires anycable-logs:disconnect - A source has lost its connection (`detail.source`)
+ * @fires anycable-logs:error - Failed to connect or to parse a log entry (`detail.error`)
+ * @fires anycable-logs:filter-change - The filter query has changed (`detail.filter`, `detail.error`)
  */
 export class AnyCableLogsElement extends LitElement {
   static get properties() {
     return {
-      connected: { type: Boolean },
-      error: { type: Error },
+      // Whitespace-separated list of URLs to merge logs from
       url: { type: String },
+      transport: { type: String },
+      streamName: { type: String, attribute: "stream-name" },
+      signedStreamName: { type: String, attribute: "signed-stream-name" },
+      channel: { type: String },
+      channelParams: { type: Object, attribute: "channel-params" },
+      // An existing cable instance to use with the "ws" transport
+      cable: { attribute: false },
       filter: { type: String },
+      maxLines: { type: Number, attribute: "max-lines" },
+      paused: { type: Boolean, reflect: true },
+      offline: { type: Boolean, reflect: true },
+      levels: { converter: levelsConverter, reflect: true },
+      // Log entries format: "json" (default), "logfmt", "text" or a custom registered one
+      format: { type: String },
+      // Custom parser function (takes precedence over the format)
+      parser: { attribute: false },
+      // Comma-separated lists of keys to use as the timestamp, level and message columns
+      timeField: { type: String, attribute: "time-field" },
+      levelField: { type: String, attribute: "level-field" },
+      messageField: { type: String, attribute: "message-field" },
+      // How to display timestamps: "raw" (as received), "utc", "local" or "relative"
+      timeFormat: { type: String, attribute: "time-format" },
+      // Collapse consecutive repeated lines into a single row
+      collapse: { type: Boolean, reflect: true },
+      // Show the throughput and connection health panel
+      stats: { type: Boolean, reflect: true },
+      // Parse and filter lines in a Web Worker (takes effect on (re)connect)
+      worker: { type: Boolean },
+      // Keep the filter, levels and paused state in the page URL hash (to share links)
+      syncUrl: { type: Boolean, attribute: "sync-url" },
+      presets: { attribute: false },
+      // Color scheme: "dark" (default), "light" or "auto"
+      theme: { type: String, reflect: true },
     };
   }
 
+  // The element ID scopes the saved presets (see _presetsScope)
+  static get observedAttributes() {
+    return [...super.observedAttributes, "id"];
+  }
+
+  attributeChangedCallback(name, oldValue, value) {
+    super.attributeChangedCallback(name, oldValue, value);
+
+    if (name === "id" && oldValue !== value && this.isConnected) {
+      this._loadPresets();
+    }
+  }
+
   constructor() {
     super();
-    this.connected = false;
-    this.reconnecting = false;
+    this.sources = [];
     this.filter = "";
+    this.transport = "sse";
+    this.format = "json";
+    this.timeFormat = "raw";
+    // Either null, { last: ms } or { from: ms, to: ms }
+    this.timeRange = null;
     this.linesCount = 0;
     this.lines = [];
+    this.maxLines = DEFAULT_MAX_LINES;
+    this.droppedCount = 0;
+    this.paused = false;
+    this.offline = false;
+    // Visible log levels (lines with unknown levels are always visible)
+    this.levels = [...LEVELS];
+    // Number of buffered lines per level
+    this.levelCounts = {};
+    // Lines received while paused
+    this.pending = [];
+    // Lines received while the console is scrolled away from the tail
+    this.newLinesCount = 0;
+    // IDs of the lines with the details panel open
+    this.expanded = new Set();
+    this.collapse = false;
+    // Signatures of the expanded groups of repeated lines
+    this.expandedGroups = new Set();
+    this.stats = false;
+    this.worker = false;
+    this.syncUrl = false;
+    // Saved filter presets by name (see logs-state.js)
+    this.presets = {};
+    // ID of the line selected via keyboard (j/k)
+    this.cursorId = null;
+    // Pinned lines by ID (kept even when dropped from the buffer)
+    this.pinned = new Map();
+    this.pinsCollapsed = false;
+    // Screen reader announcement of the recently received lines
+    this.liveSummary = "";
+    this._announced = { lines: 0, errors: 0 };
+    // Received lines and errors per time bucket (for the stats panel)
+    this._linesRate = new RateCounter();
+    this._errorsRate = new RateCounter();
+
+    // Rendered rows heights by line id (used for virtualization)
+    this._rowHeights = new Map();
+    this._avgRowHeight = ROW_HEIGHT_ESTIMATE;
+    // The lines shown in the console with their row offsets (see _buildView)
+    this._view = null;
 
-    this._handleMessage = this._handleMessage.bind(this);
     this._filterAlike = this._filterAlike.bind(this);
+    this._onScroll = this._onScroll.bind(this);
+    this._onResize = this._onResize.bind(this);
+    this._onDragOver = this._onDragOver.bind(this);
+    this._onDrop = this._onDrop.bind(this);
+    this._handleSourcesMutation = this._handleSourcesMutation.bind(this);
+    this._applyHashState = this._applyHashState.bind(this);
+    this._onKeyDown = this._onKeyDown.bind(this);
   }
 
   connectedCallback() {
     super.connectedCallback();
-    const source = (this.source = new EventSource(this.url));
 
-    source.onopen = () => {
-      this.connected = true;
-      this.reconnecting = false;
-      this.error = null;
-      this.requestUpdate();
-    };
+    this.renderRoot.addEventListener("click", this._filterAlike);
+    this.renderRoot.addEventListener("keydown", this._onKeyDown);
 
-    source.onerror = () => {
-      if (this.connected) {
-        this.reconnecting = true;
-        this._append(
-          JSON.stringify({
-            level: "ERROR",
-            msg: "connection lost",
-          })
-        );
-      } else {
-        this.error = new Error("failed to connect to event source");
-      }
-      this.requestUpdate();
-    };
+    this.resizeObserver = new ResizeObserver(this._onResize);
+    this.resizeObserver.observe(this);
 
-    source.addEventListener("welcome", this._handleMessage);
-    source.addEventListener("disconnect", this._handleMessage);
-    source.addEventListener("confirm_subscription", this._handleMessage);
-    source.addEventListener("reject_subscription", this._handleMessage);
-    source.addEventListener("ping", this._handleMessage);
-    source.onmessage = this._handleMessage;
+    this._syncTicker();
+    this._syncHashListener();
 
-    this.renderRoot.addEventListener("click", this._filterAlike);
+    // Children could be parsed after the element is connected
+    this.sourcesObserver = new MutationObserver(this._handleSourcesMutation);
+    this.sourcesObserver.observe(this, {
+      childList: true,
+      subtree: true,
+      attributes: true,
+    });
+
+    this._start();
   }
 
   disconnectedCallback() {
     super.disconnectedCallback();
 
     this.renderRoot.removeEventListener("click", this._filterAlike);
+    this.renderRoot.removeEventListener("keydown", this._onKeyDown);
+
+    clearTimeout(this._announceTimer);
+    delete this._announceTimer;
+
+    if (this.resizeObserver) {
+      this.resizeObserver.disconnect();
+      delete this.resizeObserver;
+    }
+
+    this._stopTicker();
+
+    window.removeEventListener("hashchange", this._applyHashState);
+
+    if (this.sourcesObserver) {
+      this.sourcesObserver.disconnect();
+      delete this.sourcesObserver;
+    }
+
+    if (this.sources.length) {
+      this._close();
+      this._clearLines();
+    }
+  }
+
+  _start() {
+    this._currentURL = this.url;
+
+    this.sources = this._sourceConfigs().map(
+      (config) => new LogSource(this, config)
+    );
+
+    this._loadPresets();
+
+    // No sources means there is nothing to stream from: the element is used
+    // to view imported logs
+    this.offline = !this.sources.length;
+
+    if (this.worker && this.sources.length) this._startWorker();
+
+    for (let source of this.sources) source.connect();
+  }
+
+  // Sources are configured either via <anycable-log-source> children or
+  // via the element's attributes (with whitespace-separated URLs)
+  _sourceConfigs() {
+    const children = this.querySelectorAll("anycable-log-source");
+
+    let configs;
+
+    if (children.length) {
+      configs = [...children].map((el) => el.config);
+    } else {
+      const urls = (this.url || "").split(/\s+/).filter(Boolean);
+
+      // A cable instance could be provided without a URL
+      if (!urls.length && this.cable) urls.push(undefined);
+
+      configs = urls.map((url) => ({
+        url,
+        transport: this.transport,
+        streamName: this.streamName,
+        signedStreamName: this.signedStreamName,
+        channel: this.channel,
+        channelParams: this.channelParams,
+        cable: this.cable,
+      }));
+    }
+
+    const names = new Set();
 
-    if (this.source) {
-      this.source.close();
-      this.lines.length = 0;
+    return configs.map((config, i) => {
+      let name = config.name || sourceName(config.url) || `source-${i + 1}`;
+
+      if (names.has(name)) name = `${name}-${i + 1}`;
+      names.add(name);
+
+      return { ...config, name };
+    });
+  }
+
+  // Connect to a new URL (or sources) from scratch
+  _restart() {
+    this._close();
+    this._clearLines();
+    this._start();
+  }
+
+  // Restart when <anycable-log-source> children are added, removed or changed
+  _handleSourcesMutation(mutations) {
+    const isSource = (node) => node.localName === "anycable-log-source";
+
+    const changed = mutations.some(
+      (mutation) =>
+        isSource(mutation.target) ||
+        [...mutation.addedNodes].some(isSource) ||
+        [...mutation.removedNodes].some(isSource)
+    );
+
+    if (changed) this._restart();
+  }
+
+  /**
+   * Remove all the buffered lines.
+   */
+  clear() {
+    this._clearLines();
+    this.requestUpdate();
+  }
+
+  /**
+   * Add log entries to the console as if they were received from the server.
+   *
+   * @param {Object|Object[]} entry - A log entry (e.g., `{level: "INFO", msg: "hello"}`) or an array of entries
+   */
+  append(entry) {
+    this._handleLines(Array.isArray(entry) ? entry : [entry]);
+  }
+
+  /**
+   * Update the filter query.
+   *
+   * @param {string} query
+   */
+  setFilter(query) {
+    this._filter(query || "");
+  }
+
+  /**
+   * Freeze the console view (new lines are buffered).
+   */
+  pause() {
+    this.paused = true;
+  }
+
+  /**
+   * Show the buffered lines and follow the tail of the log.
+   */
+  resume() {
+    this.paused = false;
+  }
+
+  /**
+   * Save the current filter query and visible levels as a named preset.
+   * Presets are stored in localStorage per logs URL.
+   *
+   * @param {string} name
+   */
+  savePreset(name) {
+    this.presets = {
+      ...this.presets,
+      [name]: { filter: this.filter, levels: [...this.levels] },
+    };
+
+    storePresets(this._presetsScope, this.presets);
+  }
+
+  /**
+   * Apply a saved preset (if it exists).
+   *
+   * @param {string} name
+   */
+  applyPreset(name) {
+    const preset = this.presets[name];
+
+    if (!preset) return;
+
+    this._filter(preset.filter || "");
+    this.levels = preset.levels ? [...preset.levels] : [...LEVELS];
+  }
+
+  /**
+   * Remove a saved preset.
+   *
+   * @param {string} name
+   */
+  deletePreset(name) {
+    const presets = { ...this.presets };
+    delete presets[name];
+
+    this.presets = presets;
+
+    storePresets(this._presetsScope, this.presets);
+  }
+
+  // Presets are shared by consoles showing the same logs: identified by the URL or
+  // the sources names (when configured via <anycable-log-source> children).
+  // The element ID only tells apart consoles showing the same logs
+  get _presetsScope() {
+    return this.id ? `${this._logsScope}#${this.id}` : this._logsScope;
+  }
+
+  get _logsScope() {
+    return (
+      this.url || (this.sources || []).map((source) => source.name).join(",")
+    );
+  }
+
+  // Consoles with IDs fall back to the presets shared by all consoles showing the same logs
+  // (e.g., saved before the ID was set)
+  _loadPresets() {
+    this.presets = loadPresets(this._presetsScope, this._logsScope);
+  }
+
+  _emit(name, detail = {}) {
+    this.dispatchEvent(
+      new CustomEvent(`anycable-logs:${name}`, {
+        bubbles: true,
+        composed: true,
+        detail,
+      })
+    );
+  }
+
+  _close() {
+    if (!this.sources) return;
+
+    for (let source of this.sources) source.close();
+
+    this.sources = [];
+
+    if (this._logsWorker) {
+      this._logsWorker.terminate();
+      delete this._logsWorker;
     }
   }
 
-  _handleMessage(msg) {
-    if (msg.type === "ping") {
-      this._animateStatus();
+  _startWorker() {
+    if (!LogsWorker.supported) return;
+
+    try {
+      this._logsWorker = new LogsWorker(this);
+    } catch (e) {
+      console.warn("failed to start logs worker, parsing on the main thread", e);
       return;
     }
 
-    if (msg.type === "welcome") {
-      this._append(
-        JSON.stringify({
-          level: "DEBUG",
-          msg: "connected",
-        })
-      );
-      this.requestUpdate();
+    this._logsWorker.configure(this.format, this._fields);
+    this._logsWorker.filter(this.filter);
+  }
+
+  // Custom parsers are only available on the main thread
+  get _useWorker() {
+    return (
+      !!this._logsWorker && !this.parser && LogsWorker.supportsFormat(this.format)
+    );
+  }
+
+  // Handle a message from a source: either a raw payload to parse (`str`)
+  // or already parsed entries
+  _process(source, { str, entries }) {
+    if (this._useWorker) {
+      this._logsWorker.process(source, { str, entries });
       return;
     }
 
-    if (msg.type === "confirm_subscription") {
-      this._append(
-        JSON.stringify({
-          level: "DEBUG",
-          msg: "subscribed",
-        })
-      );
+    this._handleLines(str !== undefined ? this._parse(str) : entries, source);
+  }
+
+  _handleWorkerLines(lines) {
+    const items = lines.map((line) =>
+      this._addLine(
+        line,
+        this.sources.find((source) => source.name === line.source)
+      )
+    );
+
+    this._handleItems(items);
+  }
+
+  // Update the lines prepared by the worker with the results of the new filter
+  _handleWorkerMatches(filter, ids) {
+    // The filter has changed again, wait for the next results
+    if (filter !== this.filter) return;
+
+    const matched = new Set(ids);
+
+    for (let buffer of [this.lines, this.pending]) {
+      for (let item of buffer) {
+        if (item.wid === undefined) continue;
+
+        item.matched = matched.has(item.wid);
+        item.matchedFilter = filter;
+      }
+    }
+
+    this._invalidateView();
+    this.shouldScroll = true;
+    this.requestUpdate();
+  }
+
+  _handleWorkerError(error) {
+    console.error(error);
+    this._emit("error", { error });
+  }
+
+  // Continue on the main thread with the messages the worker hasn't processed
+  _handleWorkerFailure(error, pending) {
+    console.warn("logs worker failed, parsing on the main thread", error);
+
+    delete this._logsWorker;
+
+    for (let { source: name, str, entries } of pending) {
+      const source = this.sources.find((source) => source.name === name);
+      this._process(source, { str, entries });
+    }
+  }
+
+  get connected() {
+    return !!this.sources && this.sources.some((source) => source.connected);
+  }
+
+  // Return the error to show instead of the console: only if none of the sources
+  // could connect
+  get _error() {
+    if (!this.sources || !this.sources.length || this.connected) return null;
+
+    if (!this.sources.every((source) => source.error)) return null;
+
+    return this.sources[0].error;
+  }
+
+  // Add a log line generated by the element itself (e.g., connection status)
+  _log(level, msg, attrs = {}, source) {
+    const item = this._append(
+      {
+        time: new Date().toISOString(),
+        level,
+        msg,
+        ...attrs,
+      },
+      source
+    );
+    this.requestUpdate();
+    return item;
+  }
+
+  _clearLines() {
+    if (this._logsWorker) this._logsWorker.clear();
+
+    for (let item of this.pinned.values()) item.evicted = true;
+
+    this.lines.length = 0;
+    this.pending.length = 0;
+    this.droppedCount = 0;
+    this.newLinesCount = 0;
+    this.expanded.clear();
+    this.expandedGroups.clear();
+    this.levelCounts = {};
+    this._rowHeights.clear();
+    this._invalidateView();
+  }
+
+  // Parse the raw message payload into log entries
+  _parse(str) {
+    const parser = this.parser || getParser(this.format);
+
+    try {
+      if (!parser) throw new Error(`unknown log format: ${this.format}`);
+
+      const result = parser(str);
+
+      if (result === null || result === undefined) return [];
+
+      return Array.isArray(result) ? result : [result];
+    } catch (e) {
+      console.error(e);
+      this._emit("error", { error: e });
+      return [];
+    }
+  }
+
+  // Append a batch of log entries received from the server
+  _handleLines(lines, source) {
+    this._handleItems(
+      lines.map((line) => this._append(line, source)).filter(Boolean)
+    );
+  }
+
+  _handleItems(items) {
+    const atTail = this._isAtTail();
+
+    this._scheduleAnnouncement(items);
+
+    this._linesRate.add(items.length);
+    this._errorsRate.add(
+      items.filter((item) => item.level === "ERROR").length
+    );
+
+    if (!this.paused) {
+      this.shouldScroll = atTail;
+
+      if (!atTail) {
+        this.newLinesCount += items.filter((item) =>
+          this._matchFilter(item)
+        ).length;
+      }
+    }
+
+    this.requestUpdate();
+  }
+
+  // Summarize new (visible) lines for screen readers at most once per ANNOUNCE_INTERVAL
+  _scheduleAnnouncement(items) {
+    for (let item of items) {
+      if (!this._matchFilter(item)) continue;
+
+      this._announced.lines++;
+      if (item.level === "ERROR") this._announced.errors++;
+    }
+
+    if (this._announceTimer || !this._announced.lines) return;
+
+    this._announceTimer = setTimeout(() => {
+      delete this._announceTimer;
+
+      const { lines, errors } = this._announced;
+
+      this.liveSummary = [
+        pluralize(lines, "new line"),
+        errors ? pluralize(errors, "error") : null,
+      ]
+        .filter(Boolean)
+        .join(", ");
+
+      this._announced = { lines: 0, errors: 0 };
       this.requestUpdate();
+    }, ANNOUNCE_INTERVAL);
+  }
+
+  _isAtTail() {
+    const consoleEl = this.renderRoot.querySelector(".console");
+
+    if (!consoleEl) return true;
+
+    return (
+      consoleEl.scrollTop + consoleEl.offsetHeight + 10 > consoleEl.scrollHeight
+    );
+  }
+
+  get _filteredLines() {
+    return this.lines.filter((item) => this._matchFilter(item));
+  }
+
+  _append(entry, source) {
+    const line = prepareLine(entry, this._fields, source && source.name);
+
+    if (!line) return;
+
+    return this._addLine(line, source);
+  }
+
+  // Add a prepared line (see prepareLine) to the buffer
+  _addLine(line, source) {
+    this.linesCount++;
+
+    this.levelCounts[line.level] = (this.levelCounts[line.level] || 0) + 1;
+
+    const item = { ...line, id: this.linesCount, source };
+
+    // Keep the view frozen while paused: new lines are buffered separately
+    this._insert(this.paused ? this.pending : this.lines, item);
+
+    this._trimLines();
+
+    this._emit("line", { entry: item.payload });
+
+    return item;
+  }
+
+  // Lines from multiple sources are merged into a single timeline ordered by time
+  // (a single source's lines are kept in the order they were received)
+  _insert(buffer, item) {
+    if (buffer === this.lines) this._invalidateView();
+
+    const last = buffer[buffer.length - 1];
+
+    if (this.sources.length < 2 || !last || last.timestamp <= item.timestamp) {
+      buffer.push(item);
       return;
     }
 
-    if (msg.type === "disconnect") {
-      let { reason } = JSON.parse(msg.data);
-      this._append(
-        JSON.stringify({
-          level: "ERROR",
-          msg: "connection closed by server",
-          reason,
-        })
-      );
-      this.requestUpdate();
-      return;
-    }
+    let low = 0;
+    let high = buffer.length;
+
+    while (low < high) {
+      const mid = (low + high) >>> 1;
+
+      if (buffer[mid].timestamp <= item.timestamp) {
+        low = mid + 1;
+      } else {
+        high = mid;
+      }
+    }
+
+    buffer.splice(low, 0, item);
+  }
+
+  // Drop the oldest lines to keep the buffer within the max-lines limit.
+  // While paused, only the pending lines are dropped to not shift the view
+  _trimLines() {
+    if (!(this.maxLines > 0)) return;
+
+    const buffer = this.paused ? this.pending : this.lines;
+    const overflow = buffer.length - this.maxLines;
+
+    if (overflow <= 0) return;
+
+    const dropped = buffer.splice(0, overflow);
+    this.droppedCount += overflow;
+
+    if (buffer === this.lines) this._invalidateView();
+
+    for (let item of dropped) {
+      if (this.pinned.has(item.id)) item.evicted = true;
+
+      this.levelCounts[item.level]--;
+      this._rowHeights.delete(item.id);
+      this.expanded.delete(item.id);
+    }
+
+    if (this._logsWorker) {
+      this._logsWorker.evict(
+        dropped.filter((item) => item.wid !== undefined).map((item) => item.wid)
+      );
+    }
+  }
+
+  _togglePause() {
+    this.paused = !this.paused;
+  }
+
+  // Move lines received while paused to the main buffer
+  _flushPending() {
+    if (!this.pending.length) return;
+
+    for (let item of this.pending) this._insert(this.lines, item);
+    this.pending.length = 0;
+
+    this._trimLines();
+  }
+
+  _jumpToTail() {
+    this.paused = false;
+    this.newLinesCount = 0;
+    this.shouldScroll = true;
+    this.requestUpdate();
+  }
+
+  get _newLinesCount() {
+    if (this.paused) {
+      return this.pending.filter((item) => this._matchFilter(item)).length;
+    }
+
+    return this.newLinesCount;
+  }
+
+  _matchFilter(item) {
+    if (LEVELS.includes(item.level) && !this.levels.includes(item.level)) {
+      return false;
+    }
+
+    if (this.timeRange && !this._matchTimeRange(item)) {
+      return false;
+    }
+
+    if (!this.query) return true;
+
+    // Lines prepared by the worker are matched there; until the worker
+    // responds to a filter change, we match them here
+    if (item.wid !== undefined && item.matchedFilter === this.filter) {
+      return item.matched;
+    }
+
+    return this.query.match(item);
+  }
+
+  _matchTimeRange({ timestamp }) {
+    const { last, from, to } = this.timeRange;
+
+    if (last) return timestamp >= Date.now() - last;
+
+    return timestamp >= from && timestamp <= to;
+  }
+
+  _onTimeRangeChange(e) {
+    const { value } = e.target;
+
+    // Keep the custom range selected
+    if (value === "custom") return;
+
+    this._rangeAnchor = null;
+    this._setTimeRange(TIME_RANGES[value] ? { last: TIME_RANGES[value] } : null);
+  }
+
+  // Shift+click on two lines to only show the lines between them
+  // The range covers all the lines between the two picked ones in the current view
+  // (timestamps are not necessarily ordered, e.g., when merging sources)
+  _pickTimeRange(item) {
+    if (!this._rangeAnchor) {
+      this._rangeAnchor = item;
+      this.requestUpdate();
+      return;
+    }
+
+    const anchor = this._rangeAnchor;
+    const lines = this._renderedLines || [];
+    const start = lines.indexOf(anchor);
+    const end = lines.indexOf(item);
+
+    // The anchor line could have been filtered out or dropped in the meantime
+    const range =
+      start === -1 || end === -1
+        ? [anchor, item]
+        : lines.slice(Math.min(start, end), Math.max(start, end) + 1);
+
+    let from = Infinity;
+    let to = -Infinity;
+
+    for (let line of range) {
+      from = Math.min(from, line.timestamp);
+      to = Math.max(to, line.timestamp);
+    }
+
+    this._rangeAnchor = null;
+    this._setTimeRange({ from, to });
+  }
+
+  _setTimeRange(range) {
+    this.timeRange = range;
+    this._invalidateView();
+    this._syncTicker();
+    this.shouldScroll = true;
+    this.requestUpdate();
+  }
+
+  _onTimeFormatChange(e) {
+    this.timeFormat = e.target.value;
+  }
+
+  get _hashPrefix() {
+    return this.id || "logs";
+  }
+
+  // Follow the hash while the sync-url attribute is set (it can be toggled at any time)
+  _syncHashListener() {
+    window.removeEventListener("hashchange", this._applyHashState);
+
+    if (!this.syncUrl || !this.isConnected) return;
+
+    this._applyHashState();
+    window.addEventListener("hashchange", this._applyHashState);
+  }
+
+  // Restore the view state from the URL hash (on load and when the hash changes)
+  _applyHashState() {
+    const state = readHashState(this._hashPrefix);
+
+    if (!state) return;
+
+    const levels = state.levels && state.levels.map(normalizeLevel);
+
+    this._filter(state.filter);
+    this.levels = levels
+      ? LEVELS.filter((level) => levels.includes(level))
+      : [...LEVELS];
+    this.paused = state.paused;
+  }
+
+  _writeHashState() {
+    writeHashState(this._hashPrefix, {
+      filter: this.filter,
+      // All levels are visible by default
+      levels: this.levels.length === LEVELS.length ? null : this.levels,
+      paused: this.paused,
+    });
+  }
+
+  // The name of the preset matching the current filter and levels (if any)
+  get _activePreset() {
+    return Object.keys(this.presets).find((name) => {
+      const { filter, levels } = this.presets[name];
+
+      return (
+        (filter || "") === this.filter &&
+        (levels || LEVELS).join(",") === this.levels.join(",")
+      );
+    });
+  }
+
+  _onPresetChange(e) {
+    const value = e.target.value;
+    // The select is only used as a menu
+    e.target.value = "";
+
+    if (value === "save") {
+      const name = window.prompt(
+        "Preset name",
+        this._activePreset || this.filter
+      );
+      if (name) this.savePreset(name);
+    } else if (value === "delete") {
+      this.deletePreset(this._activePreset);
+    } else if (value.startsWith("preset:")) {
+      this.applyPreset(value.slice("preset:".length));
+    }
+  }
+
+  // Re-render every second while there are time-dependent values on the screen
+  // (relative timestamps, stats or lines within a relative time range)
+  _syncTicker() {
+    if (
+      this.timeFormat === "relative" ||
+      this.stats ||
+      (this.timeRange && this.timeRange.last)
+    ) {
+      if (this._ticker) return;
+
+      this._ticker = setInterval(() => this._tick(), 1000);
+    } else {
+      this._stopTicker();
+    }
+  }
+
+  _tick() {
+    // Relative time ranges move with the clock
+    if (this.timeRange && this.timeRange.last) this._invalidateView();
+
+    this.requestUpdate();
+  }
+
+  _stopTicker() {
+    clearInterval(this._ticker);
+    delete this._ticker;
+  }
+
+  _onFilterChange(e) {
+    this._filter(e.target.value);
+  }
+
+  // Add a clause matching the clicked token to the filter query
+  // (or excluding it when Alt is pressed)
+  _filterAlike(e) {
+    const token = e.target.closest(".log-filter");
+
+    if (!token) return;
+
+    e.preventDefault();
+
+    const { field, value } = token.dataset;
+
+    this._filter(appendClause(this.filter, formatClause(field, value, e.altKey)));
+  }
+
+  _toggleLevel(level) {
+    this.levels = this.levels.includes(level)
+      ? this.levels.filter((l) => l !== level)
+      : LEVELS.filter((l) => l === level || this.levels.includes(l));
+
+    this.shouldScroll = true;
+  }
+
+  _resetFilter() {
+    this._filter("");
+  }
+
+  _filter(query) {
+    this.filter = query;
+
+    // Always scroll after filtering
+    this.shouldScroll = true;
+  }
+
+  _compileFilter() {
+    try {
+      this.query = parseQuery(this.filter);
+      this.filterError = null;
+    } catch (e) {
+      if (!(e instanceof QuerySyntaxError)) throw e;
+
+      // Keep the last valid query while the user is typing
+      this.filterError = e;
+    }
+  }
+
+  get _fields() {
+    return {
+      time: this.timeField,
+      level: this.levelField,
+      msg: this.messageField,
+    };
+  }
+
+  // Lines are considered repeated if their compiled forms (without timestamps) match
+  _signature(item) {
+    if (item.signature === undefined) {
+      item.signature = `${item.data[SOURCE_ATTR]} ${compileLog({
+        ...item.data,
+        time: undefined,
+      })}`;
+    }
+
+    return item.signature;
+  }
+
+  // Replace consecutive repeated lines with the first one (unless the group is expanded).
+  // Returns the resulting lines and the groups of repeated lines by the first line ID.
+  // Expanded groups are tracked by signatures, so they stay expanded when the first line is dropped
+  _groupRepeats(lines) {
+    const result = [];
+    const groups = new Map();
+
+    let i = 0;
+
+    while (i < lines.length) {
+      const first = lines[i];
+      const signature = this._signature(first);
+
+      let j = i + 1;
+      while (j < lines.length && this._signature(lines[j]) === signature) j++;
+
+      if (j - i > 1) {
+        const group = lines.slice(i, j);
+        groups.set(first.id, group);
+
+        if (this.expandedGroups.has(signature)) {
+          result.push(...group);
+        } else {
+          result.push(first);
+        }
+      } else {
+        result.push(first);
+      }
+
+      i = j;
+    }
+
+    return { lines: result, groups };
+  }
+
+  _toggleCollapse() {
+    this.collapse = !this.collapse;
+    this.shouldScroll = true;
+  }
+
+  _toggleStats() {
+    this.stats = !this.stats;
+  }
+
+  _toggleGroup(signature) {
+    if (this.expandedGroups.has(signature)) {
+      this.expandedGroups.delete(signature);
+    } else {
+      this.expandedGroups.add(signature);
+    }
+
+    this._invalidateView();
+    this.requestUpdate();
+  }
+
+  _formatRepeats(item, group) {
+    const signature = this._signature(item);
+    const expanded = this.expandedGroups.has(signature);
+    const first = this._formatTime(group[0]);
+    const last = this._formatTime(group[group.length - 1]);
+
+    return html` <span class="log-repeat" title="${
+      expanded ? "collapse" : "expand"
+    } repeated lines" @click=${() => this._toggleGroup(signature)}>×${
+      group.length
+    }</span>${
+      !expanded && first !== undefined
+        ? html` <span class="log-repeat-range">(${first} … ${last})</span>`
+        : ""
+    }`;
+  }
+
+  _formatLog(item, group) {
+    const { data } = item;
+
+    let ts = html`<span class="log-ts">${this._highlight(this._formatTime(item))}</span>`;
+    let level =
+      data["level"] === undefined
+        ? ""
+        : html`[<span class="log-filter log-level-${item.level.toLowerCase()}" data-field="level" data-value=${
+            data["level"]
+          }>${this._highlight(data["level"])}</span>]`;
+
+    let message = html`<span class="log-message">${this._highlight(
+      data["msg"]
+    )}</span>`;
+
+    // Only show source badges when merging multiple sources
+    let source =
+      item.source && this.sources.length > 1
+        ? html` <span class="log-filter log-source" data-field=${SOURCE_ATTR} data-value=${
+            item.source.name
+          } style="color: ${item.source.color}">${this._highlight(
+            item.source.name
+          )}</span>`
+        : "";
+
+    let buf = [];
+
+    for (let attr in data) {
+      if (RESERVED_ATTRS.includes(attr) || attr === SOURCE_ATTR) continue;
+
+      let val = data[attr];
+
+      if (val === null || val === undefined) continue;
+
+      if (typeof val === "object") {
+        val = JSON.stringify(val);
+      }
+
+      const attrval = `${attr}=${val}`;
+      buf.push(
+        html` <span class="log-filter" data-field=${attr} data-value=${val}>${this._highlight(
+          attrval
+        )}</span>`
+      );
+    }
+
+    const pinned = this.pinned.has(item.id);
+
+    const pin = html`<button class="log-pin" aria-label=${
+      pinned ? "unpin line" : "pin line"
+    } aria-pressed=${pinned} title=${pinned ? "unpin" : "pin"} @click=${() =>
+      this._togglePin(item)}>${PIN_ICON}</button>`;
+
+    return html`<li part="line line-${
+      item.level ? item.level.toLowerCase() : "unknown"
+    }" class="log-line ${
+      this.expanded.has(item.id) ? "log-line-expanded" : ""
+    } ${item.marker ? `log-${item.marker}` : ""} ${
+      this.cursorId === item.id ? "log-line-cursor" : ""
+    } ${pinned ? "log-line-pinned" : ""}" id="line-${item.id}" tabindex="-1" data-id=${item.id} aria-expanded=${this.expanded.has(
+      item.id
+    )} @click=${this._toggleDetails}>${pin}${ts}${source} ${level} ${message}${buf}${
+      group ? this._formatRepeats(item, group) : ""
+    }${this.expanded.has(item.id) ? this._formatDetails(item) : ""}</li>`;
+  }
+
+  _formatTime(item) {
+    const time = item.data["time"];
+
+    if (time === undefined || this.timeFormat === "raw") return time;
+
+    const ts = parseTime(time);
+
+    return ts === undefined ? time : formatTime(ts, this.timeFormat);
+  }
+
+  // Keyboard shortcuts: "/" focuses the filter, Esc resets it,
+  // j/k move the line cursor, Enter expands the selected line and p pins it
+  _onKeyDown(e) {
+    if (e.ctrlKey || e.metaKey || e.altKey) return;
+
+    const target = e.target;
+
+    if (target.matches("input, select, textarea")) {
+      if (e.key === "Escape" && target.id === "filter") {
+        e.preventDefault();
+        this._resetFilter();
+      }
+
+      return;
+    }
+
+    // Icons act as buttons
+    const activates = e.key === "Enter" || e.key === " ";
+
+    if (activates && target.matches('i[role="button"]')) {
+      e.preventDefault();
+      target.click();
+      return;
+    }
+
+    if (target.matches("button")) return;
+
+    switch (e.key) {
+      case "/":
+        e.preventDefault();
+        this.renderRoot.querySelector("#filter").focus();
+        break;
+      case "Escape":
+        this.exportMenuOpen = false;
+        this._resetFilter();
+        this.requestUpdate();
+        break;
+      case "j":
+        this._moveCursor(1);
+        break;
+      case "k":
+        this._moveCursor(-1);
+        break;
+      case "Enter":
+        if (this.cursorId !== null) {
+          e.preventDefault();
+          this._toggleExpanded(this.cursorId);
+        }
+        break;
+      case "p":
+        if (this.cursorId !== null) {
+          const item = this.lines.find((line) => line.id === this.cursorId);
+          if (item) this._togglePin(item);
+        }
+        break;
+    }
+  }
+
+  _moveCursor(delta) {
+    const lines = this._renderedLines || [];
+
+    if (!lines.length) return;
+
+    const index = lines.findIndex((item) => item.id === this.cursorId);
+
+    // Start from the tail
+    const next =
+      index === -1
+        ? lines.length - 1
+        : Math.min(lines.length - 1, Math.max(0, index + delta));
+
+    this.cursorId = lines[next].id;
+    this._scheduleReveal();
+  }
+
+  _scheduleReveal() {
+    this._revealCursorPending = true;
+    this._revealAttempts = 0;
+    this.requestUpdate();
+  }
+
+  // Scroll the selected line into view and focus it. Returns false if the line hasn't been
+  // rendered yet (i.e., it's outside of the virtualized window)
+  _revealCursor() {
+    const consoleEl = this.renderRoot.querySelector(".console");
+
+    if (!consoleEl) return true;
+
+    const el = this.renderRoot.getElementById(`line-${this.cursorId}`);
+
+    if (el) {
+      el.scrollIntoView({ block: "nearest" });
+      el.focus({ preventScroll: true });
+      return true;
+    }
+
+    const view = this._view;
+    const index = view ? view.index.get(this.cursorId) : undefined;
+
+    if (index === undefined) return true;
+
+    const offset = view.offsets.offset(index, this._avgRowHeight);
+
+    const spacer = consoleEl.querySelector(".spacer");
+    consoleEl.scrollTop = (spacer ? spacer.offsetTop : 0) + offset;
+
+    return false;
+  }
+
+  _toggleDetails(e) {
+    // Filter tokens, repeats badges and the details panel handle clicks themselves
+    if (e.target.closest(".log-filter, .log-details, .log-repeat, .log-pin")) {
+      return;
+    }
+
+    if (e.shiftKey) {
+      const id = parseInt(e.currentTarget.dataset.id);
+      const item = (this._renderedLines || []).find((line) => line.id === id);
+
+      if (item) this._pickTimeRange(item);
+      return;
+    }
+
+    // Do not toggle when selecting text
+    const selection = window.getSelection();
+    if (selection && !selection.isCollapsed) return;
+
+    const id = parseInt(e.currentTarget.dataset.id);
+
+    this.cursorId = id;
+    this._toggleExpanded(id);
+  }
+
+  _togglePin(item) {
+    if (this.pinned.has(item.id)) {
+      this.pinned.delete(item.id);
+    } else {
+      this.pinned.set(item.id, item);
+    }
+
+    this.requestUpdate();
+  }
+
+  _togglePinsCollapsed() {
+    this.pinsCollapsed = !this.pinsCollapsed;
+    this.requestUpdate();
+  }
+
+  // Scroll to the pinned line if it's visible in the main list
+  _jumpToPin(item) {
+    if (!this._isRendered(item)) return;
+
+    this.cursorId = item.id;
+    this._scheduleReveal();
+  }
+
+  _toggleExpanded(id) {
+    if (this.expanded.has(id)) {
+      this.expanded.delete(id);
+    } else {
+      this.expanded.add(id);
+    }
+
+    this.requestUpdate();
+  }
+
+  _formatDetails(item) {
+    const { payload } = item;
+
+    return html`<div class="log-details">
+      <div class="log-details-actions">
+        <button @click=${() => this._copy(JSON.stringify(payload, null, 2))}>
+          copy as JSON
+        </button>
+        <button title="single-quoted JSON to paste into a shell command (e.g., curl -d)" @click=${() =>
+          this._copy(shellQuote(JSON.stringify(payload)))}>
+          copy as shell argument
+        </button>
+      </div>
+      ${this._formatJSON(payload)}
+    </div>`;
+  }
+
+  // Render a value as a collapsible JSON tree
+  _formatJSON(val, key) {
+    const label =
+      key === undefined ? "" : html`<span class="json-key">${key}</span>: `;
+
+    if (val !== null && typeof val === "object") {
+      const isArray = Array.isArray(val);
+      const entries = Object.entries(val);
+      const [open, close] = isArray ? ["[", "]"] : ["{", "}"];
+
+      if (!entries.length) {
+        return html`<div class="json-entry">${label}${open}${close}</div>`;
+      }
+
+      return html`<details class="json-entry" open>
+        <summary>${label}${open}<span class="json-size">${
+          entries.length
+        }</span>${close}</summary>
+        ${entries.map(([k, v]) => this._formatJSON(v, isArray ? undefined : k))}
+      </details>`;
+    }
+
+    const type = val === null ? "null" : typeof val;
+
+    return html`<div class="json-entry">${label}<span class="json-${type}">${JSON.stringify(
+      val
+    )}</span></div>`;
+  }
+
+  _copy(text) {
+    navigator.clipboard.writeText(text).catch((e) => console.error(e));
+  }
+
+  // Split the string into text parts and <mark>-ed filter matches.
+  // Log values are always rendered as text nodes, never as HTML
+  _highlight(str) {
+    if (str === undefined || str === null) return str;
+
+    str = String(str);
+
+    const highlights = this.query ? this.query.highlights : [];
+
+    if (!highlights.length) return str;
+
+    const ranges = [];
+
+    for (let rx of highlights) {
+      for (let match of str.matchAll(rx)) {
+        // Skip empty matches (e.g., for /^/ or /a*/)
+        if (!match[0]) continue;
+
+        ranges.push([match.index, match.index + match[0].length]);
+      }
+    }
+
+    if (!ranges.length) return str;
+
+    ranges.sort((a, b) => a[0] - b[0]);
+
+    const parts = [];
+    let lastIndex = 0;
+    let i = 0;
+
+    while (i < ranges.length) {
+      const from = ranges[i][0];
+      let to = ranges[i++][1];
+
+      // Merge overlapping matches of different patterns
+      while (i < ranges.length && ranges[i][0] <= to) {
+        to = Math.max(to, ranges[i++][1]);
+      }
+
+      if (from > lastIndex) parts.push(str.slice(lastIndex, from));
+
+      parts.push(html`<mark>${str.slice(from, to)}</mark>`);
+      lastIndex = to;
+    }
+
+    if (lastIndex < str.length) parts.push(str.slice(lastIndex));
+
+    return parts;
+  }
+
+  _toggleExportMenu() {
+    this.exportMenuOpen = !this.exportMenuOpen;
+    this.requestUpdate();
+  }
+
+  // Download either the filtered view or the whole buffer
+  // as NDJSON (original payloads) or plain text (compiled lines)
+  // (pinned lines are always included in the whole buffer export)
+  _export(format, scope) {
+    let lines;
+
+    if (scope === "pinned") {
+      lines = [...this.pinned.values()];
+    } else if (scope === "all") {
+      const evicted = [...this.pinned.values()].filter((item) => item.evicted);
+
+      lines = [...evicted, ...this.lines, ...this.pending];
+    } else {
+      lines = this._filteredLines;
+    }
+
+    const content =
+      format === "ndjson"
+        ? lines
+            .map((item) => JSON.stringify(this._exportPayload(item)))
+            .join("\n")
+        : lines.map((item) => item.raw).join("\n");
+
+    const blob = new Blob([content + "\n"], {
+      type: format === "ndjson" ? "application/x-ndjson" : "text/plain",
+    });
+
+    const ts = new Date().toISOString().replace(/[:.]/g, "-");
+
+    const link = document.createElement("a");
+    link.href = URL.createObjectURL(blob);
+    link.download = `anycable-logs-${ts}.${format === "ndjson" ? "ndjson" : "log"}`;
+    link.click();
+
+    setTimeout(() => URL.revokeObjectURL(link.href), 0);
+
+    this.exportMenuOpen = false;
+    this.requestUpdate();
+  }
+
+  // Mark pinned lines to restore pins on import
+  _exportPayload(item) {
+    const { payload } = item;
+
+    if (!this.pinned.has(item.id) || typeof payload !== "object") {
+      return payload;
+    }
+
+    return { ...payload, [PINNED_ATTR]: true };
+  }
+
+  _openImport() {
+    this.renderRoot.getElementById("import-file").click();
+  }
+
+  _onImportFile(e) {
+    const file = e.target.files[0];
+
+    if (file) this._import(file);
+
+    // Allow importing the same file again
+    e.target.value = "";
+  }
+
+  _onDragOver(e) {
+    if (!e.dataTransfer.types.includes("Files")) return;
+
+    e.preventDefault();
+    e.dataTransfer.dropEffect = "copy";
+  }
+
+  _onDrop(e) {
+    const file = e.dataTransfer.files[0];
+
+    if (!file) return;
+
+    e.preventDefault();
+    this._import(file);
+  }
+
+  // Load an NDJSON file into the console. Stops streaming (if any) and switches
+  // the element into the offline mode
+  async _import(file) {
+    const name = file.name.toLowerCase();
+
+    if (!IMPORT_EXTENSIONS.some((ext) => name.endsWith(ext))) {
+      const error = new Error(`only NDJSON files can be imported: ${file.name}`);
+      console.error(error);
+      this._emit("error", { error });
+      return;
+    }
+
+    let text;
+
+    try {
+      text = await file.text();
+    } catch (error) {
+      console.error(error);
+      this._emit("error", { error });
+      return;
+    }
+
+    this._close();
+    this._clearLines();
+    this.pinned.clear();
+    this.offline = true;
+    // Imported lines must be visible right away
+    this.paused = false;
+
+    // Exported lines are always JSON (the original entries)
+    for (let line of text.split(/\r?\n/)) {
+      if (!line.trim()) continue;
+
+      try {
+        const entry = JSON.parse(line);
+        const pinned = !!entry && entry[PINNED_ATTR] === true;
+
+        if (pinned) delete entry[PINNED_ATTR];
+
+        const item = this._append(entry);
+
+        if (item && pinned) this.pinned.set(item.id, item);
+      } catch (e) {
+        console.error(e);
+        this._emit("error", { error: e });
+      }
+    }
+
+    this.shouldScroll = true;
+    this.requestUpdate();
+  }
+
+  _animateStatus(source) {
+    const el = [...this.renderRoot.querySelectorAll(".status")].find(
+      (status) => status.dataset.source === source.name
+    );
+
+    if (!el) return;
+
+    el.classList.add("status-animated");
+  }
+
+  _clearStatusAnimation(e) {
+    e.target.classList.remove("status-animated");
+  }
+
+  _onScroll() {
+    if (!this.paused && this.newLinesCount && this._isAtTail()) {
+      this.newLinesCount = 0;
+    }
+
+    this.requestUpdate();
+  }
+
+  _onResize() {
+    const width = this.offsetWidth;
+
+    if (width === this._lastWidth) return;
+
+    this._lastWidth = width;
+
+    // Lines wrap differently now, so all measurements are stale
+    this._rowHeights.clear();
+    this._invalidateView();
+    this.requestUpdate();
+  }
+
+  _invalidateView() {
+    this._view = null;
+  }
+
+  // Filter (and group) the buffer and index the resulting rows.
+  // The view is kept until the buffer or the filters change, so scrolling only
+  // queries the row offsets (and doesn't walk the whole buffer)
+  _buildView() {
+    let lines = this._filteredLines;
+    let groups;
 
-    const lines = JSON.parse(msg.data);
+    if (this.collapse) ({ lines, groups } = this._groupRepeats(lines));
 
-    for (let line of lines) this._append(JSON.stringify(line));
+    const index = new Map();
+    const offsets = new RowOffsets(lines.length);
 
-    const consoleEl = this.renderRoot.querySelector(".console");
-    this.shouldScroll =
-      consoleEl.scrollTop + consoleEl.offsetHeight + 10 >
-      consoleEl.scrollHeight;
+    lines.forEach((item, i) => {
+      index.set(item.id, i);
 
-    this.requestUpdate();
+      const height = this._rowHeights.get(item.id);
+      if (height !== undefined) offsets.set(i, height);
+    });
+
+    return { lines, groups, index, offsets };
   }
 
-  get _filteredLines() {
-    return this.lines.filter((item) => this._matchFilter(item));
+  _isRendered(item) {
+    return !!this._view && this._view.index.has(item.id);
   }
 
-  _append(data) {
-    if (!data) return;
+  // Calculate which lines must be rendered to fill the visible area of the console
+  // (plus overscan) and the heights of the spacers for the rest
+  _visibleWindow({ lines, offsets }) {
+    const consoleEl = this.renderRoot.querySelector(".console");
+    const viewport = consoleEl ? consoleEl.clientHeight : 0;
+    const avg = this._avgRowHeight;
+    const total = offsets.total(avg);
 
-    try {
-      data = JSON.parse(data);
-    } catch (e) {
-      console.error(e);
-      return;
+    let top;
+
+    if (this.shouldScroll || !consoleEl) {
+      top = Math.max(0, total - viewport);
+    } else {
+      const spacer = consoleEl.querySelector(".spacer");
+      top = Math.max(0, consoleEl.scrollTop - (spacer ? spacer.offsetTop : 0));
     }
 
-    data = flatten(data);
+    let start = offsets.countAbove(top, avg);
+    let end = Math.max(start, offsets.indexFrom(top + viewport, avg));
 
-    this.linesCount++;
-    this.lines.push({ data, raw: this._compileLog(data), id: this.linesCount });
+    start = Math.max(0, start - OVERSCAN);
+    end = Math.min(lines.length, end + OVERSCAN);
+
+    return {
+      start,
+      end,
+      before: offsets.offset(start, avg),
+      after: total - offsets.offset(end, avg),
+    };
   }
 
-  _matchFilter(item) {
-    if (this.filter) {
-      return this.filterRx.test(item.raw);
+  // Returns true if any of the rendered rows changed its height
+  _measureRows() {
+    const consoleEl = this.renderRoot.querySelector(".console");
+
+    if (!consoleEl) return false;
+
+    let changed = false;
+    let sum = 0;
+    let count = 0;
+
+    for (let el of consoleEl.querySelectorAll(".log-line")) {
+      const id = parseInt(el.dataset.id);
+      const height = el.offsetHeight;
+
+      sum += height;
+      count++;
+
+      if (this._rowHeights.get(id) !== height) {
+        this._rowHeights.set(id, height);
+        changed = true;
+
+        const index = this._view ? this._view.index.get(id) : undefined;
+        if (index !== undefined) this._view.offsets.set(index, height);
+      }
     }
 
-    return true;
-  }
+    if (count) this._avgRowHeight = sum / count;
 
-  _onFilterChange(e) {
-    this._filter(e.target.value);
+    return changed;
   }
 
-  _filterAlike(e) {
-    if (e.target.classList.contains("log-filter")) {
-      e.preventDefault();
+  willUpdate(changed) {
+    if (changed.has("timeFormat") || changed.has("stats")) this._syncTicker();
 
-      const val = e.target.textContent;
+    if (changed.has("maxLines")) this._trimLines();
 
-      const filterEl = this.renderRoot.getElementById("filter");
-      this._filter(val);
-      filterEl.value = val;
+    if (
+      this._logsWorker &&
+      ["format", "timeField", "levelField", "messageField"].some((prop) =>
+        changed.has(prop)
+      )
+    ) {
+      this._logsWorker.configure(this.format, this._fields);
     }
-  }
 
-  _resetFilter() {
-    const filterEl = this.renderRoot.getElementById("filter");
-    this._filter("");
-    filterEl.value = "";
-  }
+    if (["filter", "levels", "collapse"].some((prop) => changed.has(prop))) {
+      this._invalidateView();
+    }
 
-  _filter(query) {
-    this.filter = query;
+    if (changed.has("filter")) {
+      this._compileFilter();
+
+      if (this._logsWorker) this._logsWorker.filter(this.filter);
 
-    if (this.filter) {
-      this.filterRx = new RegExp(`((?:^|>)[^<>]*?)(${this.filter})`, "gim");
+      if (changed.get("filter") !== undefined) {
+        this._emit("filter-change", {
+          filter: this.filter,
+          error: this.filterError,
+        });
+      }
     }
 
-    // Always scroll after filtering
-    this.shouldScroll = true;
+    if (changed.has("paused") && !this.paused && changed.get("paused")) {
+      this._flushPending();
+      this.newLinesCount = 0;
+      this.shouldScroll = true;
+    }
   }
 
-  // Generate a string representation of a log for filtering purposes
-  _compileLog(data) {
-    let ts = data["time"];
-    let level = data["level"];
-    let message = data["msg"];
+  updated(changed) {
+    super.updated(changed);
 
-    let buf = [];
+    // The initial value is handled on connect
+    if (changed.has("syncUrl") && changed.get("syncUrl") !== undefined) {
+      this._syncHashListener();
+    }
 
-    for (let attr in data) {
-      if (RESERVED_ATTRS.includes(attr)) continue;
+    if (
+      this.syncUrl &&
+      ["filter", "levels", "paused"].some((prop) => changed.has(prop))
+    ) {
+      this._writeHashState();
+    }
 
-      let val = data[attr];
+    if (changed.has("url") && this.isConnected && this.url !== this._currentURL) {
+      this._restart();
+    }
 
-      if (!val) continue;
+    const remeasured = this._measureRows();
 
-      if (typeof val === "object") {
-        val = JSON.stringify(val);
+    if (this._revealCursorPending) {
+      if (
+        this._revealCursor() ||
+        ++this._revealAttempts >= MAX_REVEAL_ATTEMPTS
+      ) {
+        this._revealCursorPending = false;
+      } else {
+        this.requestUpdate();
       }
-
-      buf.push(`${attr}=${val}`);
     }
 
-    return `${ts} ${level} ${message} ${buf.join(" ")}`;
-  }
+    if (this.shouldScroll) {
+      this.shouldScroll = false;
 
-  _formatLog(data) {
-    let ts = html`<span class="log-ts">${this._highlight(data["time"])}</span>`;
-    let level = html`[<span class="log-filter log-level-${data[
-      "level"
-    ].toLowerCase()}">${this._highlight(data["level"])}</span>]`;
+      const consoleEl = this.renderRoot.querySelector(".console");
+      if (consoleEl) {
+        consoleEl.scrollTop = consoleEl.scrollHeight - consoleEl.offsetHeight;
+      }
+    }
 
-    let message = html`<span class="log-message">${this._highlight(
-      data["msg"]
-    )}</span>`;
+    // Re-render with the actual row heights (converges once all visible rows are measured)
+    if (remeasured) this.requestUpdate();
+  }
 
-    let buf = [];
+  _renderLines() {
+    // Relative time ranges are refreshed by the ticker
+    if (!this._view) this._view = this._buildView();
 
-    for (let attr in data) {
-      if (RESERVED_ATTRS.includes(attr)) continue;
+    const { lines, groups } = this._view;
 
-      let val = data[attr];
+    // Used for keyboard navigation
+    this._renderedLines = lines;
 
-      if (!val) continue;
+    const { start, end, before, after } = this._visibleWindow(this._view);
 
-      if (typeof val === "object") {
-        val = JSON.stringify(val);
+    return html`
+      ${
+        this.droppedCount
+          ? html`<li class="log-dropped">${this.droppedCount} older lines dropped</li>`
+          : ""
       }
+      <li class="spacer" style="height: ${before}px"></li>
+      ${repeat(
+        lines.slice(start, end),
+        (item) => item.id,
+        (item) => this._formatLog(item, groups && groups.get(item.id))
+      )}
+      <li class="spacer" style="height: ${after}px"></li>
+    `;
+  }
 
-      const attrval = `${attr}=${val}`;
-      buf.push(`<span class="log-filter">${attrval}</span>`);
-    }
+  _renderPins() {
+    if (!this.pinned.size) return "";
+
+    const pins = [...this.pinned.values()].sort(
+      (a, b) => a.timestamp - b.timestamp || a.id - b.id
+    );
+
+    return html`<section part="pins" class="pins" aria-label="pinned lines">
+      <button class="pins-toggle" aria-expanded=${!this.pinsCollapsed} @click=${
+        this._togglePinsCollapsed
+      }>${this.pinsCollapsed ? "▸" : "▾"} ${pluralize(
+        pins.length,
+        "pinned line"
+      )}</button>
+      ${
+        this.pinsCollapsed
+          ? ""
+          : html`<ul class="pins-list">
+        ${pins.map((item) => {
+          const present = this._isRendered(item);
+          const title = item.evicted
+            ? "dropped from the buffer"
+            : present
+            ? "scroll to the line"
+            : "hidden by the filter";
+
+          return html`<li class="pin ${
+            present ? "" : "pin-missing"
+          }" title=${title} @click=${() => this._jumpToPin(item)}>
+            <button class="log-pin" aria-label="unpin line" aria-pressed="true" title="unpin" @click=${(
+              e
+            ) => {
+              e.stopPropagation();
+              this._togglePin(item);
+            }}>${PIN_ICON}</button>
+            ${this._formatTime(item)}
+            <span class="log-level-${item.level.toLowerCase()}">${
+            item.data["level"] === undefined ? "" : `[${item.data["level"]}]`
+          }</span>
+            ${item.data["msg"]}
+          </li>`;
+        })}
+      </ul>`
+      }
+    </section>`;
+  }
 
-    return html`<li>${ts} ${level} ${message} ${this._highlight(
-      buf.join(" ")
-    )}</li>`;
+  _renderPresets() {
+    const active = this._activePreset;
+
+    return html`<select class="presets" title="filter presets" aria-label="filter presets" @change=${
+      this._onPresetChange
+    }>
+      <option value="" selected>${active ? `preset: ${active}` : "presets"}</option>
+      ${Object.keys(this.presets).map(
+        (name) => html`<option value="preset:${name}">${name}</option>`
+      )}
+      <option value="save">save current...</option>
+      ${active ? html`<option value="delete">delete "${active}"</option>` : ""}
+    </select>`;
   }
 
-  _highlight(str) {
-    if (!this.filter) return unsafeHTML(str);
+  _renderTimeRangeOptions() {
+    const range = this.timeRange;
+    const time = (ts) => formatTime(ts, "local").split(" ")[1];
+
+    let custom = "";
 
-    return unsafeHTML(str.replace(this.filterRx, "$1<mark>$2</mark>"));
+    if (this._rangeAnchor) {
+      custom = html`<option value="custom" selected>from ${time(
+        this._rangeAnchor.timestamp
+      )}…</option>`;
+    } else if (range && range.from !== undefined) {
+      custom = html`<option value="custom" selected>${time(range.from)}–${time(
+        range.to
+      )}</option>`;
+    }
+
+    return html`
+      <option value="all" ?selected=${!range}>all time</option>
+      ${Object.entries(TIME_RANGES).map(
+        ([key, ms]) =>
+          html`<option value=${key} ?selected=${
+            !custom && range && range.last === ms
+          }>last ${key}</option>`
+      )}
+      ${custom}
+    `;
   }
 
-  _animateStatus() {
-    const el = this.renderRoot.querySelector(".status");
+  _renderNewLines() {
+    const count = this._newLinesCount;
 
-    if (!el) return;
+    if (!count) return "";
 
-    el.classList.add("status-animated");
+    return html`<button class="new-lines" @click=${this._jumpToTail}>▼ ${count} new ${
+      count === 1 ? "line" : "lines"
+    }</button>`;
   }
 
-  _clearStatusAnimation() {
-    const el = this.renderRoot.querySelector(".status");
+  _renderImportInput() {
+    return html`<input type="file" id="import-file" accept=${IMPORT_EXTENSIONS.join(",")} hidden @change=${this._onImportFile}/>`;
+  }
 
-    if (!el) return;
+  // Importing is available even when there is nothing to connect to
+  _renderImportHint() {
+    return html`<div class="import-hint">
+      or drop an NDJSON file here
+      <button @click=${this._openImport}>import</button>
+      ${this._renderImportInput()}
+    </div>`;
+  }
 
-    el.classList.remove("status-animated");
+  _renderReconnect() {
+    const sources = this.sources.filter(
+      (source) => source.reconnectAt || source.reconnecting
+    );
+
+    if (!sources.length) return "";
+
+    const multiple = this.sources.length > 1;
+
+    return html`<div class="reconnect">
+      ${sources.map((source) => {
+        const countdown = source.reconnectAt
+          ? `reconnecting in ${Math.max(
+              0,
+              Math.ceil((source.reconnectAt - Date.now()) / 1000)
+            )}s`
+          : "reconnecting...";
+
+        return html`<div>
+          ${multiple ? `${source.name}: ` : ""}${countdown}
+          <button @click=${source.retry}>retry</button>
+        </div>`;
+      })}
+    </div>`;
   }
 
-  updated() {
-    super.updated();
+  _renderStatus() {
+    if (this.offline) {
+      return html`<div class="statuses"><span part="status" class="status status-offline" role="img" aria-label="offline" title="offline"></span></div>`;
+    }
 
-    if (this.shouldScroll) {
-      this.shouldScroll = false;
+    return html`<div class="statuses">
+      ${this.sources.map((source) => {
+        let state = "";
+        let title = "connected";
+
+        if (source.error && !source.connected) {
+          state = "status-error";
+          title = source.error.message;
+        } else if (source.reconnecting || !source.connected) {
+          state = "status-loading";
+          title = source.reconnecting ? "reconnecting" : "connecting";
+        }
+
+        return html`<span part="status" class="status ${state}" data-source=${
+          source.name
+        } role="img" aria-label="${source.name}: ${title}" title="${
+          source.name
+        }: ${title}" style=${
+          this.sources.length > 1 ? `border: 2px solid ${source.color}` : ""
+        } @animationend=${this._clearStatusAnimation}></span>`;
+      })}
+    </div>`;
+  }
 
-      const consoleEl = this.renderRoot.querySelector(".console");
-      consoleEl.scrollTop = consoleEl.scrollHeight - consoleEl.offsetHeight;
-    }
+  _renderStats() {
+    if (!this.stats) return "";
+
+    const now = Date.now();
+    const linesRates = this._linesRate.rates(now);
+    const errorsRates = this._errorsRate.rates(now);
+
+    const connected = this.sources.filter((source) => source.connected);
+    // Report the most stale source
+    const lastPingAt = connected.length
+      ? Math.min(...connected.map((source) => source.lastPingAt || 0))
+      : 0;
+    const reconnects = this.sources.reduce(
+      (acc, source) => acc + source.reconnectsCount,
+      0
+    );
+    const buffered = this.lines.length + this.pending.length;
+
+    return html`<header part="stats" class="stats">
+      <div class="stat" title="lines per second over the last 5 minutes">
+        ${sparkline(linesRates)}
+        <span>${formatRate(linesRates[linesRates.length - 1])} lines/s</span>
+      </div>
+      <div class="stat stat-errors" title="errors per second over the last 5 minutes">
+        ${sparkline(errorsRates)}
+        <span>${formatRate(errorsRates[errorsRates.length - 1])} errors/s</span>
+      </div>
+      <div class="stat" title=${this.sources
+        .map((source) => `${source.name}: ${formatAgo(source.lastPingAt)}`)
+        .join("\n")}>ping: ${
+      connected.length ? formatAgo(lastPingAt) : "—"
+    }</div>
+      <div class="stat">reconnects: ${reconnects}</div>
+      <div class="stat" title="buffered lines">buffer: ${buffered}${
+      this.maxLines > 0 ? `/${this.maxLines}` : ""
+    }</div>
+    </header>`;
   }
 
   render() {
-    if (this.error) {
-      return html`<span class="status status-error"></span><div class="console"><div class="log-level-error">Error: ${this.error.message}</div></div>`;
+    const error = this._error;
+
+    if (error) {
+      return html`${this._renderStats()}${this._renderStatus()}<div part="console" class="console" @dragover=${
+        this._onDragOver
+      } @drop=${this._onDrop}><div class="log-level-error">Error: ${
+        error.message
+      }</div>${this._renderReconnect()}${this._renderImportHint()}</div>`;
     }
 
-    if (!this.connected) {
-      return html`<span class="status status-loading"></span><div class="console">Loading...</div>`;
+    if (!this.connected && !this.offline) {
+      return html`${this._renderStats()}${this._renderStatus()}<div part="console" class="console" @dragover=${
+        this._onDragOver
+      } @drop=${
+        this._onDrop
+      }>Loading...${this._renderImportHint()}</div>`;
     }
 
     return html`
-      <span class="status ${
-        this.reconnecting ? "status-loading" : ""
-      }" @animationend=${this._clearStatusAnimation}></span>
-      <nav>
-        <i id="filter-icon">
-          <svg xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" stroke-width="1.5" stroke="currentColor">
-          <path stroke-linecap="round" stroke-linejoin="round" d="M12 3c2.755 0 5.455.232 8.083.678.533.09.917.556.917 1.096v1.044a2.25 2.25 0 0 1-.659 1.591l-5.432 5.432a2.25 2.25 0 0 0-.659 1.591v2.927a2.25 2.25 0 0 1-1.244 2.013L9.75 21v-6.568a2.25 2.25 0 0 0-.659-1.591L3.659 7.409A2.25 2.25 0 0 1 3 5.818V4.774c0-.54.384-1.006.917-1.096A48.32 48.32 0 0 1 12 3Z" />
-          </svg>
+      ${this._renderStats()}
+      ${this._renderStatus()}
+      ${this._renderReconnect()}
+      <nav part="toolbar">
+        <i id="pause-icon" role="button" tabindex="0" @click=${
+          this._togglePause
+        } title="${this.paused ? "follow" : "pause"}" aria-label="${
+          this.paused ? "follow" : "pause"
+        }">
+          ${
+            this.paused
+              ? html`<svg xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" stroke-width="1.5" stroke="currentColor">
+            <path stroke-linecap="round" stroke-linejoin="round" d="M5.25 5.653c0-.856.917-1.398 1.667-.986l11.54 6.347a1.125 1.125 0 0 1 0 1.972l-11.54 6.347a1.125 1.125 0 0 1-1.667-.986V5.653Z" />
+          </svg>`
+              : html`<svg xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" stroke-width="1.5" stroke="currentColor">
+            <path stroke-linecap="round" stroke-linejoin="round" d="M15.75 5.25v13.5m-7.5-13.5v13.5" />
+          </svg>`
+          }
         </i>
-        <input type="text" id="filter" @input=${this._onFilterChange}/>
-        <i id="reset-filter-icon" @click=${
-          this._resetFilter
-        } title="reset filter" style="${!this.filter && "display: none;"}">
-          <svg xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" stroke-width="1.5" stroke="currentColor" class="w-6 h-6">
-            <path stroke-linecap="round" stroke-linejoin="round" d="M12 9.75 14.25 12m0 0 2.25 2.25M14.25 12l2.25-2.25M14.25 12 12 14.25m-2.58 4.92-6.374-6.375a1.125 1.125 0 0 1 0-1.59L9.42 4.83c.21-.211.497-.33.795-.33H19.5a2.25 2.25 0 0 1 2.25 2.25v10.5a2.25 2.25 0 0 1-2.25 2.25h-9.284c-.298 0-.585-.119-.795-.33Z" />
+        <div class="filter">
+          <i id="filter-icon" aria-hidden="true">
+            <svg xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" stroke-width="1.5" stroke="currentColor">
+            <path stroke-linecap="round" stroke-linejoin="round" d="M12 3c2.755 0 5.455.232 8.083.678.533.09.917.556.917 1.096v1.044a2.25 2.25 0 0 1-.659 1.591l-5.432 5.432a2.25 2.25 0 0 0-.659 1.591v2.927a2.25 2.25 0 0 1-1.244 2.013L9.75 21v-6.568a2.25 2.25 0 0 0-.659-1.591L3.659 7.409A2.25 2.25 0 0 1 3 5.818V4.774c0-.54.384-1.006.917-1.096A48.32 48.32 0 0 1 12 3Z" />
+            </svg>
+          </i>
+          <input type="text" id="filter" placeholder="level:error -msg:ping" aria-label="filter (press / to focus, Esc to reset)" aria-invalid=${!!this
+            .filterError} aria-describedby="filter-error" .value=${
+            this.filter
+          } @input=${this._onFilterChange}/>
+          <i id="reset-filter-icon" role="button" tabindex="0" @click=${
+            this._resetFilter
+          } title="reset filter" aria-label="reset filter" style="${
+            !this.filter && "visibility: hidden;"
+          }">
+            <svg xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" stroke-width="1.5" stroke="currentColor" class="w-6 h-6">
+              <path stroke-linecap="round" stroke-linejoin="round" d="M12 9.75 14.25 12m0 0 2.25 2.25M14.25 12l2.25-2.25M14.25 12 12 14.25m-2.58 4.92-6.374-6.375a1.125 1.125 0 0 1 0-1.59L9.42 4.83c.21-.211.497-.33.795-.33H19.5a2.25 2.25 0 0 1 2.25 2.25v10.5a2.25 2.25 0 0 1-2.25 2.25h-9.284c-.298 0-.585-.119-.795-.33Z" />
+            </svg>
+          </i>
+          ${
+            this.filterError
+              ? html`<div class="filter-error" id="filter-error">${this.filterError.message}</div>`
+              : ""
+          }
+        </div>
+        ${this._renderPresets()}
+        <select class="time-format" title="timestamps format" aria-label="timestamps format" @change=${
+          this._onTimeFormatChange
+        }>
+          ${TIME_FORMATS.map(
+            (format) =>
+              html`<option value=${format} ?selected=${
+                this.timeFormat === format
+              }>${format}</option>`
+          )}
+        </select>
+        <select class="time-range" title="time range (shift+click two lines to select a custom range)" aria-label="time range" @change=${
+          this._onTimeRangeChange
+        }>
+          ${this._renderTimeRangeOptions()}
+        </select>
+        <div class="levels">
+          ${LEVELS.map(
+            (level) => html`<button class="level-chip log-level-${level.toLowerCase()} ${
+              this.levels.includes(level) ? "level-chip-active" : ""
+            }" aria-pressed=${this.levels.includes(level)} aria-label="${level} (${
+              this.levelCounts[level] || 0
+            } lines)" @click=${() => this._toggleLevel(level)}>
+              ${level}<span class="level-count">${
+                this.levelCounts[level] || 0
+              }</span>
+            </button>`
+          )}
+        </div>
+        <button class="chip ${
+          this.collapse ? "chip-active" : ""
+        }" title="collapse repeated lines" aria-label="collapse repeated lines" aria-pressed=${
+          this.collapse
+        } @click=${this._toggleCollapse}>×N</button>
+        <button class="chip ${
+          this.stats ? "chip-active" : ""
+        }" title="throughput and connection stats" aria-pressed=${
+          this.stats
+        } @click=${
+          this._toggleStats
+        }>stats</button>
+        <div class="menu-container">
+          <i id="export-icon" role="button" tabindex="0" @click=${
+            this._toggleExportMenu
+          } title="export" aria-label="export" aria-haspopup="menu" aria-expanded=${!!this
+            .exportMenuOpen}>
+            <svg xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" stroke-width="1.5" stroke="currentColor">
+              <path stroke-linecap="round" stroke-linejoin="round" d="M3 16.5v2.25A2.25 2.25 0 0 0 5.25 21h13.5A2.25 2.25 0 0 0 21 18.75V16.5M16.5 12 12 16.5m0 0L7.5 12m4.5 4.5V3" />
+            </svg>
+          </i>
+          ${
+            this.exportMenuOpen
+              ? html`<div class="menu" role="menu">
+            <button @click=${() => this._export("ndjson", "filtered")}>filtered view as NDJSON</button>
+            <button @click=${() => this._export("text", "filtered")}>filtered view as text</button>
+            <button @click=${() => this._export("ndjson", "all")}>all lines as NDJSON</button>
+            <button @click=${() => this._export("text", "all")}>all lines as text</button>
+            ${
+              this.pinned.size
+                ? html`<button @click=${() =>
+                    this._export("ndjson", "pinned")}>pinned lines as NDJSON</button>`
+                : ""
+            }
+          </div>`
+              : ""
+          }
+        </div>
+        <i id="import-icon" role="button" tabindex="0" @click=${
+          this._openImport
+        } title="import NDJSON" aria-label="import NDJSON">
+          <svg xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" stroke-width="1.5" stroke="currentColor">
+            <path stroke-linecap="round" stroke-linejoin="round" d="M3 16.5v2.25A2.25 2.25 0 0 0 5.25 21h13.5A2.25 2.25 0 0 0 21 18.75V16.5m-13.5-9L12 3m0 0 4.5 4.5M12 3v13.5" />
           </svg>
         </i>
+        ${this._renderImportInput()}
       </nav>
-      <ul class="console">
-        ${repeat(
-          this._filteredLines,
-          (item) => item.id,
-          (item) => this._formatLog(item.data)
-        )}
+      ${this._renderPins()}
+      <ul part="console" class="console" role="log" aria-live="off" aria-label="logs" tabindex="0" @scroll=${this._onScroll} @dragover=${this._onDragOver} @drop=${
+        this._onDrop
+      }>
+        ${this._renderLines()}
       </ul>
+      <div class="sr-only" role="status" aria-live="polite">${
+        this.liveSummary
+      }</div>
+      ${this._renderNewLines()}
     `;
   }
 
@@ -353,17 +2299,45 @@ export class AnyCableLogsElement extends LitElement {
         max-width: 1280px;
         height: 100%;
         margin: 0 auto;
-        display: block;
-        color: var(--console-color, rgb(134 239 172));
-        background-color: var(--console-bg, rgb(27, 14, 65));
+        display: flex;
+        flex-direction: column;
+        color: var(--_console-color);
+        background-color: var(--_console-bg);
         border-radius: 8px;
         position: relative;
-        font-family: var(--console-font-family, monospace);
+        font-family: var(--_console-font-family);
+        --stats-height: 2rem;
+
+        /* Dark theme (default) */
+        --_console-font-family: var(--console-font-family, monospace);
+        --_console-color: var(--console-color, rgb(134 239 172));
+        --_console-bg: var(--console-bg, rgb(27, 14, 65));
+        --_console-hover-color: var(--console-hover-color, white);
+        --_controls-color: var(--controls-color, #fff);
+        --_log-debug-color: var(--log-debug-color, var(--_console-color));
+        --_log-info-color: var(--log-info-color, cyan);
+        --_log-warn-color: var(--log-warn-color, #FFBF00);
+        --_log-error-color: var(--log-error-color, red);
+        --_status-color: var(--status-color, #4FFFB0);
+        --_status-loading-color: var(--status-loading-color, #FFBF00);
+        --_status-error-color: var(--status-error-color, red);
+        --_status-offline-color: var(--status-offline-color, gray);
+        --_json-key-color: var(--json-key-color, var(--_controls-color));
+        --_json-string-color: var(--json-string-color, var(--_log-warn-color));
+        --_json-literal-color: var(--json-literal-color, var(--_log-info-color));
+        --_highlight-color: var(--highlight-color, black);
+        --_highlight-bg: var(--highlight-bg, #FFBF00);
+        --_source-color-lightness: var(--source-color-lightness, 70%);
+      }
+
+      :host([theme="light"]) {
+        ${lightTheme}
       }
 
       .console {
         min-width: 100%;
-        height: 100%;
+        flex: 1;
+        min-height: 0;
         box-sizing: border-box;
         padding: 2rem;
         position: relative;
@@ -377,29 +2351,250 @@ export class AnyCableLogsElement extends LitElement {
       }
 
       .console li:hover {
-        color: white;
+        color: var(--_console-hover-color);
+      }
+
+      .console .log-line {
+        padding: 0.25rem 0;
+      }
+
+      .log-gap {
+        margin: 0.25rem 0;
+        border-top: 1px dashed var(--_log-warn-color);
+        border-bottom: 1px dashed var(--_log-warn-color);
+        color: var(--_log-warn-color);
+      }
+
+      .reconnect {
+        position: absolute;
+        top: 0.25rem;
+        left: 2.5rem;
+        z-index: 10;
+        font-size: 0.75rem;
+        color: var(--_log-warn-color);
+      }
+
+      .console .reconnect {
+        position: static;
+        margin-top: 0.5rem;
       }
 
-      .console li:not(:first-child) {
+      .import-hint {
         margin-top: 0.5rem;
+        font-size: 0.75rem;
+        opacity: 0.8;
+      }
+
+      .reconnect button,
+      .import-hint button {
+        margin-left: 0.5rem;
+        padding: 0 0.5rem;
+        border: 1px solid currentColor;
+        border-radius: 4px;
+        background-color: transparent;
+        color: inherit;
+        font-family: inherit;
+        cursor: pointer;
+      }
+
+      .log-repeat {
+        padding: 0 0.375rem;
+        border-radius: 1rem;
+        font-size: 0.75rem;
+        color: var(--_console-bg);
+        background-color: var(--_console-color);
+        cursor: pointer;
+      }
+
+      .log-repeat-range {
+        font-size: 0.75rem;
+        opacity: 0.6;
+      }
+
+      .log-dropped {
+        padding-bottom: 0.5rem;
+        opacity: 0.6;
+        font-style: italic;
+      }
+
+      .log-level-debug {
+        color: var(--_log-debug-color);
       }
 
       .log-level-info {
-        color: cyan;
+        color: var(--_log-info-color);
       }
 
       .log-level-error {
-        color: red;
+        color: var(--_log-error-color);
       }
 
       .log-level-warn {
-        color: #FFBF00;
+        color: var(--_log-warn-color);
       }
 
       .log-filter {
         cursor: pointer;
       }
 
+      .log-line {
+        cursor: pointer;
+      }
+
+      .log-details {
+        margin: 0.5rem 0 0.25rem 1rem;
+        padding: 0.5rem;
+        border-left: 2px solid var(--_console-color);
+        cursor: auto;
+      }
+
+      .log-details-actions {
+        margin-bottom: 0.5rem;
+      }
+
+      .log-details-actions button {
+        margin-right: 0.5rem;
+        padding: 0.125rem 0.5rem;
+        border: 1px solid currentColor;
+        border-radius: 4px;
+        background-color: transparent;
+        color: inherit;
+        font-family: inherit;
+        font-size: 0.75rem;
+        cursor: pointer;
+      }
+
+      .json-entry {
+        padding-left: 1rem;
+      }
+
+      .json-entry summary {
+        margin-left: -1rem;
+        cursor: pointer;
+      }
+
+      .json-size {
+        padding: 0 0.25rem;
+        opacity: 0.6;
+        font-size: 0.75rem;
+      }
+
+      .json-key {
+        color: var(--_json-key-color);
+      }
+
+      .json-string {
+        color: var(--_json-string-color);
+      }
+
+      .json-number,
+      .json-boolean,
+      .json-null {
+        color: var(--_json-literal-color);
+      }
+
+      mark {
+        color: var(--_highlight-color);
+        background-color: var(--_highlight-bg);
+      }
+
+      .log-pin {
+        width: 0.75rem;
+        height: 0.75rem;
+        margin-right: 0.25rem;
+        padding: 0;
+        border: none;
+        vertical-align: middle;
+        background-color: transparent;
+        color: inherit;
+        cursor: pointer;
+        opacity: 0;
+      }
+
+      .log-line:hover .log-pin,
+      .log-pin:focus-visible,
+      .log-line-pinned .log-pin,
+      .pin .log-pin {
+        opacity: 1;
+      }
+
+      .log-line-pinned .log-pin svg,
+      .pin .log-pin svg {
+        fill: currentColor;
+      }
+
+      .pins {
+        flex: none;
+        max-height: 30%;
+        margin: 2rem 2rem 0;
+        padding-bottom: 0.25rem;
+        overflow-y: auto;
+        border-bottom: 1px dashed currentColor;
+        font-size: 0.875rem;
+      }
+
+      :host([stats]) .pins {
+        margin-top: calc(var(--stats-height) + 2rem);
+      }
+
+      .pins + .console,
+      :host([stats]) .pins + .console {
+        padding-top: 0.5rem;
+      }
+
+      .pins-toggle {
+        padding: 0;
+        border: none;
+        background-color: transparent;
+        color: var(--_controls-color);
+        font-family: inherit;
+        font-size: 0.75rem;
+        cursor: pointer;
+      }
+
+      .pins-list {
+        list-style-type: none;
+      }
+
+      .pin {
+        padding: 0.125rem 0;
+        cursor: pointer;
+        white-space: nowrap;
+        overflow: hidden;
+        text-overflow: ellipsis;
+      }
+
+      .pin:hover {
+        color: var(--_console-hover-color);
+      }
+
+      .pin-missing {
+        opacity: 0.6;
+        cursor: auto;
+      }
+
+      .log-line-cursor {
+        outline: 1px dashed currentColor;
+        outline-offset: 2px;
+      }
+
+      .console:focus-visible,
+      .log-line:focus-visible,
+      nav input:focus-visible,
+      nav i:focus-visible {
+        outline: 1px solid currentColor;
+        outline-offset: 2px;
+      }
+
+      .sr-only {
+        position: absolute;
+        width: 1px;
+        height: 1px;
+        overflow: hidden;
+        clip: rect(0 0 0 0);
+        white-space: nowrap;
+      }
+
       .log-filter:hover {
         text-decoration: underline;
       }
@@ -416,18 +2611,70 @@ export class AnyCableLogsElement extends LitElement {
 
       .status-loading {
         animation: status-blink 2s linear infinite;
-        background-color: #FFBF00 !important;
+        background-color: var(--_status-loading-color) !important;
+      }
+
+      .stats {
+        position: absolute;
+        top: 0;
+        left: 0;
+        right: 0;
+        height: var(--stats-height);
+        z-index: 10;
+        display: flex;
+        align-items: center;
+        gap: 1.5rem;
+        padding: 0 2rem;
+        font-size: 0.75rem;
+        border-bottom: 1px solid currentColor;
+        background-color: var(--_console-bg);
+        border-radius: 8px 8px 0 0;
+      }
+
+      .stat {
+        display: flex;
+        align-items: center;
+        gap: 0.5rem;
+        white-space: nowrap;
+      }
+
+      .stat-errors {
+        color: var(--_log-error-color);
+      }
+
+      .sparkline {
+        display: block;
+      }
+
+      :host([stats]) .console {
+        padding-top: calc(var(--stats-height) + 2rem);
+      }
+
+      :host([stats]) .statuses,
+      :host([stats]) .reconnect,
+      :host([stats]) nav {
+        transform: translateY(var(--stats-height));
+      }
+
+      .status-offline {
+        background-color: var(--_status-offline-color) !important;
       }
 
       .status-error {
-        background-color: red !important;
+        background-color: var(--_status-error-color) !important;
       }
 
-      .status {
+      .statuses {
         position: absolute;
-        background-color: #4FFFB0;
         top: 10px;
         left: 10px;
+        z-index: 10;
+        display: flex;
+        gap: 4px;
+      }
+
+      .status {
+        background-color: var(--_status-color);
         display: block;
         width: 10px;
         height: 10px;
@@ -440,35 +2687,145 @@ export class AnyCableLogsElement extends LitElement {
         top: 0.25rem;
         right: 2rem;
         z-index: 10;
-        background-color: var(--console-bg, rgb(27, 14, 65));
+        display: flex;
+        align-items: center;
+        gap: 0.5rem;
+        background-color: var(--_console-bg);
         background-opacity: 0.75;
       }
 
       nav i {
-        position: absolute;
+        position: relative;
+        flex: none;
         width: 1rem;
         height: 1rem;
-        color: #fff;
+        color: var(--_controls-color);
+        cursor: pointer;
+        transition: color 0.5s ease;
       }
 
-      #filter-icon {
-        left: -1.25rem;
-        top: 0.125rem;
+      nav i:hover {
+        color: var(--_console-color);
+      }
+
+      .filter {
+        position: relative;
+        flex: 1;
+        display: flex;
+        align-items: center;
+        gap: 0.25rem;
+      }
+
+      nav select {
+        padding: 0 0.25rem;
+        border: 1px solid var(--_console-color);
+        border-radius: 4px;
+        background-color: var(--_console-bg);
+        color: var(--_controls-color);
+        font-family: inherit;
+        font-size: 0.75rem;
+      }
+
+      .levels {
+        display: flex;
+        gap: 0.25rem;
+      }
+
+      .level-chip,
+      .chip {
+        padding: 0 0.375rem;
+        border: 1px solid currentColor;
+        border-radius: 4px;
+        background-color: transparent;
+        font-family: inherit;
+        font-size: 0.75rem;
+        opacity: 0.4;
+        cursor: pointer;
+      }
+
+      .level-chip.log-level-debug {
+        color: var(--_log-debug-color);
+      }
+
+      .chip {
+        color: var(--_console-color);
+      }
+
+      .level-chip.level-chip-active,
+      .chip.chip-active {
+        opacity: 1;
+      }
+
+      .level-count {
+        margin-left: 0.25rem;
+        opacity: 0.75;
+      }
+
+      .menu-container {
+        position: relative;
+        display: flex;
+      }
+
+      .menu {
+        position: absolute;
+        top: 100%;
+        right: 0;
+        display: flex;
+        flex-direction: column;
+        padding: 0.25rem 0;
+        white-space: nowrap;
+        border: 1px solid var(--_console-color);
+        border-radius: 4px;
+        background-color: var(--_console-bg);
       }
 
-      #reset-filter-icon {
-        right: -0.5rem;
-        top: 0.125rem;
+      .menu button {
+        padding: 0.25rem 0.75rem;
+        border: none;
+        text-align: left;
+        background-color: transparent;
+        color: var(--_controls-color);
+        font-family: inherit;
         cursor: pointer;
-        transition: color 0.5s ease;
       }
 
-      #reset-filter-icon:hover {
-        color: var(--console-color, rgb(134 239 172));
+      .menu button:hover {
+        color: var(--_console-color);
+      }
+
+      .new-lines {
+        position: absolute;
+        bottom: 1rem;
+        left: 50%;
+        transform: translateX(-50%);
+        z-index: 10;
+        padding: 0.25rem 0.75rem;
+        border: none;
+        border-radius: 1rem;
+        cursor: pointer;
+        font-family: inherit;
+        color: var(--_console-bg);
+        background-color: var(--_console-color);
+      }
+
+      #filter-icon {
+        cursor: auto;
+      }
+
+      #filter-icon:hover {
+        color: var(--_controls-color);
+      }
+
+      .filter-error {
+        position: absolute;
+        top: 100%;
+        padding: 0.25rem 0.5rem;
+        font-size: 0.75rem;
+        color: var(--_log-error-color);
+        background-color: var(--_console-bg);
       }
 
       nav input {
-        margin-right: 0.75rem;
         width: 100%;
         appearance: none;
         outline: none;
@@ -477,13 +2834,16 @@ export class AnyCableLogsElement extends LitElement {
         padding-top: 0.25rem;
         padding-bottom: 0.25rem;
         padding-right: 0.5rem;
-        color: var(--controls-color, #fff);
-        border-bottom: 1px solid var(--console-color, rgb(134 239 172));
-        font-family: var(--console-font-family, monospace);
+        color: var(--_controls-color);
+        border-bottom: 1px solid var(--_console-color);
+        font-family: var(--_console-font-family);
         font-size: 100%;
       }
 
       @media (prefers-color-scheme: light) {
+        :host([theme="auto"]) {
+          ${lightTheme}
+        }
       }
     `,
     ];
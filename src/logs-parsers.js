@@ -0,0 +1,86 @@
+// Log line parsers. A parser receives a raw message payload (a string)
+// and returns a log entry (an object), an array of entries or null (to skip the message).
+
+const LEVEL_RX = /\b(DEBUG|INFO|WARN(?:ING)?|ERROR|FATAL)\b/i;
+const TIMESTAMP_RX =
+  /^(\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}:\d{2}(?:\.\d+)?(?:Z|[+-]\d{2}:?\d{2})?)\s*/;
+
+const splitLines = (str) => str.split(/\r?\n/).filter((line) => line.trim());
+
+// Parse a single logfmt line: `level=info msg="hello world" sid=42 debug`
+export const parseLogfmt = (line) => {
+  const entry = {};
+  let pos = 0;
+
+  while (pos < line.length) {
+    while (pos < line.length && /\s/.test(line[pos])) pos++;
+
+    const keyStart = pos;
+    while (pos < line.length && !/[\s=]/.test(line[pos])) pos++;
+
+    const key = line.slice(keyStart, pos);
+
+    if (line[pos] !== "=") {
+      // A key without a value is a flag
+      if (key) entry[key] = true;
+      continue;
+    }
+
+    pos++;
+
+    let value = "";
+
+    if (line[pos] === '"') {
+      pos++;
+
+      while (pos < line.length && line[pos] !== '"') {
+        if (line[pos] === "\\" && pos + 1 < line.length) pos++;
+        value += line[pos++];
+      }
+
+      // Skip the closing quote
+      pos++;
+    } else {
+      const valueStart = pos;
+      while (pos < line.length && !/\s/.test(line[pos])) pos++;
+      value = line.slice(valueStart, pos);
+    }
+
+    if (key) entry[key] = value;
+  }
+
+  return entry;
+};
+
+// Parse an arbitrary text line, trying to detect the timestamp and the level
+export const parseText = (line) => {
+  const entry = {};
+
+  const tsMatch = line.match(TIMESTAMP_RX);
+
+  if (tsMatch) {
+    entry.time = tsMatch[1];
+    line = line.slice(tsMatch[0].length);
+  }
+
+  const levelMatch = line.match(LEVEL_RX);
+
+  if (levelMatch) entry.level = levelMatch[1].toUpperCase();
+
+  entry.msg = line;
+
+  return entry;
+};
+
+const parsers = {
+  json: (str) => JSON.parse(str),
+  logfmt: (str) => splitLines(str).map(parseLogfmt),
+  text: (str) => splitLines(str).map(parseText),
+};
+
+export const getParser = (format) => parsers[format];
+
+// Add a custom parser to be used via the `format` attribute
+export const registerParser = (format, parser) => {
+  parsers[format] = parser;
+};
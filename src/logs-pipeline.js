@@ -0,0 +1,131 @@
+// Turning raw log entries into console lines: flattening, fields mapping and
+// compiling into strings for filtering.
+// Shared by the logs element and the logs worker, so it must not touch the DOM.
+
+export const RESERVED_ATTRS = ["time", "level", "msg"];
+// The name of the source a line came from (when merging multiple sources)
+export const SOURCE_ATTR = "@source";
+
+// Keys to look up the timestamp, level and message values in log entries (in order)
+const DEFAULT_FIELDS = {
+  time: ["time", "ts", "timestamp", "@timestamp"],
+  level: ["level", "severity", "lvl"],
+  msg: ["msg", "message"],
+};
+
+export const normalizeLevel = (level) => {
+  level = String(level || "").toUpperCase();
+  return level === "WARNING" ? "WARN" : level;
+};
+
+// Convert a log timestamp (ISO string or Unix time in seconds or milliseconds) to ms
+export const parseTime = (val) => {
+  if (typeof val === "number") return val < 1e12 ? val * 1000 : val;
+
+  if (typeof val === "string") {
+    if (/^\d+(\.\d+)?$/.test(val)) return parseTime(parseFloat(val));
+
+    const ts = Date.parse(val);
+    if (!isNaN(ts)) return ts;
+  }
+
+  return undefined;
+};
+
+export const flatten = (data, acc = {}, prefix = "") => {
+  if (typeof data !== "object") {
+    if (prefix) return acc;
+    // Original input is not an object
+    return data;
+  }
+
+  const keyPrefix = prefix ? `${prefix}.` : "";
+
+  for (let key in data) {
+    const val = data[key];
+    if (val === null || val === undefined) continue;
+
+    if (typeof val === "object") {
+      flatten(val, acc, keyPrefix + key);
+    } else {
+      acc[keyPrefix + key] = val;
+    }
+  }
+
+  return acc;
+};
+
+// Move the configured timestamp, level and message fields to the canonical
+// "time", "level" and "msg" keys.
+// Fields are comma-separated lists of keys (defaults are used for blank values)
+export const mapFields = (data, fields = {}) => {
+  const mapped = {};
+
+  for (let attr of RESERVED_ATTRS) {
+    const candidates = fields[attr]
+      ? fields[attr].split(",").map((f) => f.trim())
+      : DEFAULT_FIELDS[attr];
+
+    const key = candidates.find((k) => k in data);
+
+    if (key !== undefined) {
+      mapped[attr] = data[key];
+      delete data[key];
+    }
+  }
+
+  for (let key in data) {
+    if (!(key in mapped)) mapped[key] = data[key];
+  }
+
+  return mapped;
+};
+
+// Generate a string representation of a log for filtering purposes
+export const compileLog = (data) => {
+  let ts = data["time"];
+  let level = data["level"];
+  let message = data["msg"];
+
+  let buf = [];
+
+  for (let attr in data) {
+    if (RESERVED_ATTRS.includes(attr) || attr === SOURCE_ATTR) continue;
+
+    let val = data[attr];
+
+    if (val === null || val === undefined) continue;
+
+    if (typeof val === "object") {
+      val = JSON.stringify(val);
+    }
+
+    buf.push(`${attr}=${val}`);
+  }
+
+  return [ts, level, message, ...buf]
+    .filter((part) => part !== undefined)
+    .join(" ");
+};
+
+// Build a console line (without an ID) from a log entry.
+// Returns undefined for blank entries
+export const prepareLine = (entry, fields, sourceName) => {
+  if (entry === null || entry === undefined) return;
+
+  if (typeof entry !== "object") entry = { msg: String(entry) };
+
+  const data = mapFields(flatten(entry), fields);
+
+  if (sourceName) data[SOURCE_ATTR] = sourceName;
+
+  return {
+    data,
+    // Keep the original payload for the details view
+    payload: entry,
+    level: normalizeLevel(data["level"]),
+    // Fallback to the receive time to make time range filtering work for every line
+    timestamp: parseTime(data["time"]) || Date.now(),
+    raw: compileLog(data),
+  };
+};
@@ -0,0 +1,347 @@
+// A tiny query language for filtering logs.
+//
+// Examples:
+//
+//   level:error                   -- field contains a value (case-insensitive)
+//   sid=abc123                    -- field equals a value (case-insensitive)
+//   -msg:ping                     -- negation
+//   msg:"connection closed"       -- quoted phrases
+//   "user agent":curl             -- quoted field names
+//   level:error OR level:warn     -- terms are AND-ed by default, OR must be explicit
+//   -(msg:ping OR msg:pong)       -- grouping
+//   /user_\d+/i                   -- regular expressions (for both terms and values)
+//
+// Field names match both the exact flattened key and its nested keys
+// (i.e., `params:42` matches `params.id=42`).
+// Terms without a field match against the whole compiled log line.
+
+export class QuerySyntaxError extends Error {
+  constructor(msg) {
+    super(msg);
+    this.name = "QuerySyntaxError";
+  }
+}
+
+const FIELD_CHAR_RX = /[\w.@$-]/;
+const BREAK_CHAR_RX = /[\s()]/;
+
+const FIELD_RX = /^[\w.@$][\w.@$-]*$/;
+
+const escapeRegExp = (str) => str.replace(/[.*+?^${}()|[\]\\/]/g, "\\$&");
+
+const stringify = (val) =>
+  typeof val === "object" ? JSON.stringify(val) : String(val);
+
+class Parser {
+  constructor(input) {
+    this.input = input;
+    this.pos = 0;
+    // Patterns of the positive (non-negated) terms, used for highlighting
+    this.highlights = [];
+    this.negated = false;
+  }
+
+  parse() {
+    this.skipSpaces();
+
+    if (this.eof()) return null;
+
+    const match = this.parseOr();
+
+    this.skipSpaces();
+
+    if (!this.eof()) {
+      throw new QuerySyntaxError(`unexpected "${this.peek()}" at ${this.pos}`);
+    }
+
+    return { match, highlights: this.highlights };
+  }
+
+  parseOr() {
+    const matchers = [this.parseAnd()];
+
+    while (this.keyword("OR")) {
+      matchers.push(this.parseAnd());
+    }
+
+    if (matchers.length === 1) return matchers[0];
+
+    return (item) => matchers.some((m) => m(item));
+  }
+
+  parseAnd() {
+    const matchers = [];
+
+    for (;;) {
+      this.skipSpaces();
+
+      if (this.eof() || this.peek() === ")" || this.lookingAtKeyword("OR")) {
+        break;
+      }
+
+      this.keyword("AND");
+      matchers.push(this.parseUnary());
+    }
+
+    if (!matchers.length) {
+      throw new QuerySyntaxError(
+        this.eof()
+          ? "unexpected end of query"
+          : `unexpected "${this.peek()}" at ${this.pos}`
+      );
+    }
+
+    if (matchers.length === 1) return matchers[0];
+
+    return (item) => matchers.every((m) => m(item));
+  }
+
+  parseUnary() {
+    this.skipSpaces();
+
+    const ch = this.peek();
+    const next = this.input[this.pos + 1];
+
+    if (ch === "-" && next !== undefined && !/\s/.test(next)) {
+      this.pos++;
+
+      this.negated = !this.negated;
+      const matcher = this.parseUnary();
+      this.negated = !this.negated;
+
+      return (item) => !matcher(item);
+    }
+
+    if (ch === "(") {
+      const start = this.pos++;
+      const matcher = this.parseOr();
+
+      this.skipSpaces();
+
+      if (this.peek() !== ")") {
+        throw new QuerySyntaxError(`unclosed "(" at ${start}`);
+      }
+
+      this.pos++;
+
+      return matcher;
+    }
+
+    return this.parseTerm();
+  }
+
+  parseTerm() {
+    const start = this.pos;
+    let field;
+
+    // Field names with other characters (e.g., spaces) must be quoted
+    if (this.peek() === '"') {
+      field = this.parsePhrase();
+    } else {
+      while (!this.eof() && FIELD_CHAR_RX.test(this.peek())) this.pos++;
+
+      field = this.input.slice(start, this.pos);
+    }
+
+    const op = this.peek();
+
+    if (field && (op === ":" || op === "=")) {
+      const next = this.input[this.pos + 1];
+
+      if (next !== undefined && !BREAK_CHAR_RX.test(next)) {
+        this.pos++;
+        return this.fieldMatcher(field, op, this.parseValue());
+      }
+    }
+
+    this.pos = start;
+
+    const value = this.parseValue();
+
+    if (value instanceof RegExp) return (item) => value.test(item.raw);
+
+    const needle = value.toLowerCase();
+
+    return (item) => item.raw.toLowerCase().includes(needle);
+  }
+
+  fieldMatcher(field, op, value) {
+    const prefix = `${field}.`;
+    let test;
+
+    if (value instanceof RegExp) {
+      test = (val) => value.test(stringify(val));
+    } else if (op === "=") {
+      const expected = value.toLowerCase();
+      test = (val) => stringify(val).toLowerCase() === expected;
+    } else {
+      const needle = value.toLowerCase();
+      test = (val) => stringify(val).toLowerCase().includes(needle);
+    }
+
+    return ({ data }) => {
+      for (let key in data) {
+        if (key !== field && !key.startsWith(prefix)) continue;
+
+        if (test(data[key])) return true;
+      }
+
+      return false;
+    };
+  }
+
+  // Returns either a string or a RegExp
+  parseValue() {
+    const ch = this.peek();
+
+    if (ch === '"') return this.track(this.parsePhrase());
+
+    if (ch === "/") {
+      const rx = this.parseRegExp();
+      if (rx) return this.track(rx);
+    }
+
+    const start = this.pos;
+
+    while (!this.eof() && !BREAK_CHAR_RX.test(this.peek())) this.pos++;
+
+    if (start === this.pos) {
+      throw new QuerySyntaxError(`expected a value at ${start}`);
+    }
+
+    return this.track(this.input.slice(start, this.pos));
+  }
+
+  parsePhrase() {
+    const start = this.pos++;
+    let buf = "";
+
+    while (!this.eof()) {
+      const ch = this.input[this.pos++];
+
+      if (ch === '"') return buf;
+
+      if (ch === "\\" && !this.eof()) {
+        buf += this.input[this.pos++];
+      } else {
+        buf += ch;
+      }
+    }
+
+    throw new QuerySyntaxError(`unclosed quote at ${start}`);
+  }
+
+  // Returns null if there is no closing slash (so the value is treated as a plain word)
+  parseRegExp() {
+    const start = this.pos;
+    let end = start + 1;
+
+    while (end < this.input.length && this.input[end] !== "/") {
+      if (this.input[end] === "\\") end++;
+      end++;
+    }
+
+    if (end >= this.input.length) return null;
+
+    const source = this.input.slice(start + 1, end);
+    let flagsEnd = end + 1;
+
+    while (flagsEnd < this.input.length && /[a-z]/i.test(this.input[flagsEnd])) {
+      flagsEnd++;
+    }
+
+    // Stateful flags make no sense for matching
+    const flags = this.input.slice(end + 1, flagsEnd).replace(/[gy]/g, "");
+
+    if (!source) {
+      throw new QuerySyntaxError(`empty regular expression at ${start}`);
+    }
+
+    let rx;
+
+    try {
+      rx = new RegExp(source, flags);
+    } catch (e) {
+      throw new QuerySyntaxError(e.message);
+    }
+
+    this.pos = flagsEnd;
+
+    return rx;
+  }
+
+  // Each pattern is highlighted separately to keep its own flags and groups
+  track(value) {
+    if (this.negated) return value;
+
+    if (value instanceof RegExp) {
+      this.highlights.push(new RegExp(value.source, `${value.flags}g`));
+    } else if (value) {
+      this.highlights.push(new RegExp(escapeRegExp(value), "gi"));
+    }
+
+    return value;
+  }
+
+  keyword(word) {
+    if (!this.lookingAtKeyword(word)) return false;
+
+    this.pos += word.length;
+    return true;
+  }
+
+  lookingAtKeyword(word) {
+    this.skipSpaces();
+
+    if (!this.input.startsWith(word, this.pos)) return false;
+
+    const next = this.input[this.pos + word.length];
+
+    return next === undefined || BREAK_CHAR_RX.test(next);
+  }
+
+  skipSpaces() {
+    while (!this.eof() && /\s/.test(this.peek())) this.pos++;
+  }
+
+  peek() {
+    return this.input[this.pos];
+  }
+
+  eof() {
+    return this.pos >= this.input.length;
+  }
+}
+
+// Compile a query string into a `{ match(item), highlights }` object
+// (highlights are global RegExps for the positive terms).
+// Returns null for blank queries. Throws QuerySyntaxError for invalid queries.
+export const parseQuery = (input) => new Parser(input || "").parse();
+
+const quote = (str) => `"${str.replace(/["\\]/g, "\\$&")}"`;
+
+// Build a query clause matching the field's value exactly
+export const formatClause = (field, value, negate = false) => {
+  value = String(value);
+
+  if (!value || /[\s()"\\]/.test(value) || value.startsWith("/")) {
+    value = quote(value);
+  }
+
+  if (!FIELD_RX.test(field)) field = quote(field);
+
+  return `${negate ? "-" : ""}${field}=${value}`;
+};
+
+// Add a clause to the query (AND-ing it with the existing terms)
+export const appendClause = (query, clause) => {
+  query = (query || "").trim();
+
+  if (!query) return clause;
+
+  if (query === clause || query.endsWith(` ${clause}`)) return query;
+
+  if (/(^|[\s)])OR([\s(]|$)/.test(query)) query = `(${query})`;
+
+  return `${query} ${clause}`;
+};
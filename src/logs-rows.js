@@ -0,0 +1,83 @@
+// Cumulative heights of the console rows (for virtualized rendering).
+// Measured heights and the number of measured rows are kept in Fenwick trees;
+// rows which haven't been measured yet count as the average height (passed to queries).
+// Both updates and lookups are logarithmic, so scrolling doesn't depend on the buffer size
+export class RowOffsets {
+  constructor(size) {
+    this.size = size;
+    this.heights = new Float64Array(size);
+    this.measured = new Uint8Array(size);
+    this.sums = new Float64Array(size + 1);
+    this.counts = new Int32Array(size + 1);
+  }
+
+  set(index, height) {
+    if (this.measured[index] && this.heights[index] === height) return;
+
+    this._add(this.sums, index, height - this.heights[index]);
+
+    if (!this.measured[index]) {
+      this.measured[index] = 1;
+      this._add(this.counts, index, 1);
+    }
+
+    this.heights[index] = height;
+  }
+
+  // The top offset of the row (the total height of the rows before it)
+  offset(index, avg) {
+    let sum = 0;
+    let count = 0;
+
+    for (let i = index; i > 0; i -= i & -i) {
+      sum += this.sums[i];
+      count += this.counts[i];
+    }
+
+    return sum + (index - count) * avg;
+  }
+
+  total(avg) {
+    return this.offset(this.size, avg);
+  }
+
+  // The number of rows ending at or above the position
+  countAbove(position, avg) {
+    let low = 0;
+    let high = this.size;
+
+    while (low < high) {
+      const mid = (low + high + 1) >>> 1;
+
+      if (this.offset(mid, avg) <= position) {
+        low = mid;
+      } else {
+        high = mid - 1;
+      }
+    }
+
+    return low;
+  }
+
+  // The index of the first row starting at or below the position (or the size if none)
+  indexFrom(position, avg) {
+    let low = 0;
+    let high = this.size;
+
+    while (low < high) {
+      const mid = (low + high) >>> 1;
+
+      if (this.offset(mid, avg) >= position) {
+        high = mid;
+      } else {
+        low = mid + 1;
+      }
+    }
+
+    return low;
+  }
+
+  _add(tree, index, delta) {
+    for (let i = index + 1; i <= this.size; i += i & -i) tree[i] += delta;
+  }
+}
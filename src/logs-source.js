@@ -0,0 +1,364 @@
+import { createCable } from "@anycable/web";
+
+// Reconnect backoff: 1s, 2s, 4s, ..., 30s
+const RECONNECT_BASE_DELAY = 1000;
+const RECONNECT_MAX_DELAY = 30000;
+
+// Pick a stable color for the source name
+// (the lightness depends on the host element's theme)
+const sourceColor = (name) => {
+  let hash = 0;
+
+  for (let i = 0; i < name.length; i++) {
+    hash = (hash * 31 + name.charCodeAt(i)) | 0;
+  }
+
+  return `hsl(${Math.abs(hash) % 360} 80% var(--_source-color-lightness, 70%))`;
+};
+
+/**
+ * A single logs stream: either an event source (SSE) or a cable subscription.
+ * Handles reconnection and reports lines and status changes to the host element.
+ */
+export class LogSource {
+  constructor(host, config) {
+    this.host = host;
+    this.config = config;
+    this.name = config.name;
+    this.color = sourceColor(config.name);
+
+    this.connected = false;
+    this.reconnecting = false;
+    this.error = null;
+    this.reconnectAttempts = 0;
+    // Number of times the connection has been restored after being lost
+    this.reconnectsCount = 0;
+
+    this._handleMessage = this._handleMessage.bind(this);
+    this.retry = this.retry.bind(this);
+  }
+
+  connect() {
+    const { transport, cable } = this.config;
+
+    this.closed = false;
+
+    // Invalid configuration only affects this source
+    if (this.config.error) {
+      this.error = this.config.error;
+      this.host._emit("error", { error: this.error, source: this.name });
+      return;
+    }
+
+    if (transport === "ws" || cable) {
+      this._connectCable();
+    } else {
+      this._connectEventSource();
+    }
+  }
+
+  close() {
+    // Late errors and timers must not bring a removed source back
+    this.closed = true;
+    this._cancelReconnect();
+
+    if (this.source) {
+      this.source.close();
+      delete this.source;
+    }
+
+    if (this.subscription) {
+      for (let unbind of this._cableUnbinds) unbind();
+      delete this._cableUnbinds;
+
+      this.subscription.disconnect();
+      delete this.subscription;
+
+      // Only disconnect the cable we created ourselves
+      if (this._ownCable) {
+        this._ownCable.disconnect();
+        delete this._ownCable;
+      }
+    }
+
+    this.connected = false;
+    this.reconnecting = false;
+  }
+
+  // Reconnect right away (also used by the "retry" button)
+  retry() {
+    if (this.closed) return;
+
+    this._cancelReconnect();
+
+    if (this.subscription) {
+      // The cable reconnects by itself, we can only speed it up
+      const cable = this._ownCable || this.config.cable;
+      if (cable.state !== "connected") cable.connect().catch(() => {});
+    } else {
+      this._connectEventSource();
+    }
+
+    this.host.requestUpdate();
+  }
+
+  _connectEventSource() {
+    // The "retry" button can interrupt the browser's reconnection attempts
+    if (this.source) this.source.close();
+
+    const source = (this.source = new EventSource(this._eventSourceURL()));
+
+    // The stream is resumed if we have seen event IDs (the browser sends the
+    // Last-Event-ID header on its own reconnects, we pass the last_event_id param)
+    source.onopen = () => this._handleOpen({ restored: !!this.lastEventId });
+
+    source.onerror = () => {
+      this._handleConnectionLost("failed to connect to event source");
+
+      // The browser retries transient failures by itself
+      if (source.readyState !== EventSource.CLOSED) return;
+
+      // Take reconnection under control when the browser gives up
+      // (e.g., on the initial connection failure or an unexpected response)
+      delete this.source;
+      this._scheduleReconnect();
+    };
+
+    source.addEventListener("welcome", this._handleMessage);
+    source.addEventListener("disconnect", this._handleMessage);
+    source.addEventListener("confirm_subscription", this._handleMessage);
+    source.addEventListener("reject_subscription", this._handleMessage);
+    source.addEventListener("ping", this._handleMessage);
+    source.onmessage = this._handleMessage;
+  }
+
+  // Build the event source URL to resume from the last seen event (if any)
+  _eventSourceURL() {
+    if (!this.lastEventId) return this.config.url;
+
+    const url = new URL(this.config.url, window.location.href);
+    url.searchParams.set("last_event_id", this.lastEventId);
+
+    return url.toString();
+  }
+
+  _handleMessage(msg) {
+    if (msg.lastEventId) this.lastEventId = msg.lastEventId;
+
+    if (msg.type === "ping") {
+      this._handlePing();
+      return;
+    }
+
+    if (msg.type === "welcome") {
+      this._log("DEBUG", "connected");
+      return;
+    }
+
+    if (msg.type === "confirm_subscription") {
+      this._log("DEBUG", "subscribed");
+      return;
+    }
+
+    if (msg.type === "reject_subscription") {
+      this._log("ERROR", "subscription rejected");
+      return;
+    }
+
+    if (msg.type === "disconnect") {
+      let { reason } = JSON.parse(msg.data);
+      this._log("ERROR", "connection closed by server", { reason });
+      return;
+    }
+
+    this._receive({ str: msg.data });
+  }
+
+  // Receive logs via a cable subscription: either to a stream or to a channel
+  _connectCable() {
+    const { url, streamName, signedStreamName, channel, channelParams } =
+      this.config;
+
+    const cable = this.config.cable || (this._ownCable = createCable(url));
+
+    let subscription;
+
+    if (streamName) {
+      subscription = cable.streamFrom(streamName);
+    } else if (signedStreamName) {
+      subscription = cable.streamFromSigned(signedStreamName);
+    } else if (channel) {
+      subscription = cable.subscribeTo(channel, channelParams);
+    } else {
+      this.error = new Error(
+        "stream-name, signed-stream-name or channel must be specified"
+      );
+      this.host._emit("error", { error: this.error, source: this.name });
+      return;
+    }
+
+    this.subscription = subscription;
+
+    this._cableUnbinds = [
+      cable.on("keepalive", () => this._handlePing()),
+      // Closed without an error means it was closed by the client
+      cable.on(
+        "close",
+        (err) =>
+          err &&
+          this._log("ERROR", "connection closed by server", {
+            reason: err.reason,
+          })
+      ),
+      subscription.on("connect", ({ restored }) => {
+        this._handleOpen({ restored });
+        this._log("DEBUG", "subscribed");
+      }),
+      subscription.on("disconnect", () =>
+        this._handleConnectionLost("failed to connect to cable")
+      ),
+      subscription.on("message", (msg) => {
+        if (typeof msg === "string") {
+          this._receive({ str: msg });
+        } else {
+          this._receive({ entries: Array.isArray(msg) ? msg : [msg] });
+        }
+      }),
+    ];
+
+    // Already connected shared cable doesn't emit "connect" again
+    if (cable.state === "connected") {
+      this._log("DEBUG", "connected");
+    } else {
+      this._cableUnbinds.push(
+        cable.on("connect", () => this._log("DEBUG", "connected"))
+      );
+    }
+  }
+
+  _scheduleReconnect() {
+    if (this.closed) return;
+
+    this._cancelReconnect();
+
+    const delay = Math.min(
+      RECONNECT_BASE_DELAY * 2 ** this.reconnectAttempts,
+      RECONNECT_MAX_DELAY
+    );
+
+    this.reconnectAttempts++;
+    this.reconnectAt = Date.now() + delay;
+
+    this._reconnectTimer = setTimeout(this.retry, delay);
+    // Refresh the countdown
+    this._countdownTimer = setInterval(() => this.host.requestUpdate(), 1000);
+
+    this.host.requestUpdate();
+  }
+
+  _cancelReconnect() {
+    clearTimeout(this._reconnectTimer);
+    clearInterval(this._countdownTimer);
+    delete this._reconnectTimer;
+    delete this._countdownTimer;
+    delete this.reconnectAt;
+  }
+
+  // The stream is considered restored when it's resumed from the last seen event
+  // (event IDs for SSE, reliable streams for cable subscriptions)
+  _handleOpen({ restored = false } = {}) {
+    // Let the user know we could miss some lines while reconnecting
+    if (this.disconnectedAt && !restored) {
+      const from = new Date(this.disconnectedAt).toISOString();
+      const to = new Date().toISOString();
+
+      const item = this._log(
+        "WARN",
+        `gap: possibly missed lines between ${from} and ${to}`,
+        { gap_from: from, gap_to: to }
+      );
+
+      if (item) item.marker = "gap";
+    }
+
+    if (this.disconnectedAt) this.reconnectsCount++;
+
+    delete this.disconnectedAt;
+
+    this.connected = true;
+    this.reconnecting = false;
+    this.reconnectAttempts = 0;
+    this.error = null;
+    this.host.requestUpdate();
+
+    this.host._emit("connect", { restored, source: this.name });
+  }
+
+  _handleConnectionLost(errorMessage) {
+    if (this.connected) {
+      if (!this.reconnecting) {
+        this.disconnectedAt = this.lastMessageAt || Date.now();
+        this._log("ERROR", "connection lost");
+        this.host._emit("disconnect", { source: this.name });
+      }
+    } else {
+      this.error = new Error(errorMessage);
+      this.host._emit("error", { error: this.error, source: this.name });
+    }
+
+    this.reconnecting = true;
+    this.host.requestUpdate();
+  }
+
+  _handlePing() {
+    this.lastPingAt = Date.now();
+    this.host._animateStatus(this);
+  }
+
+  _receive(message) {
+    this.lastMessageAt = Date.now();
+    this.host._process(this, message);
+  }
+
+  _log(level, msg, attrs) {
+    return this.host._log(level, msg, attrs, this);
+  }
+}
+
+/**
+ * Declares a logs source for the parent <anycable-logs> element:
+ *
+ *   <anycable-logs>
+ *     <anycable-log-source name="node-1" url="https://node-1.example.com/..."></anycable-log-source>
+ *     <anycable-log-source name="node-2" transport="ws" url="wss://node-2.example.com/cable" stream-name="logs"></anycable-log-source>
+ *   </anycable-logs>
+ */
+export class AnyCableLogSourceElement extends HTMLElement {
+  get config() {
+    let channelParams = this.getAttribute("channel-params");
+    let error;
+
+    try {
+      channelParams = channelParams ? JSON.parse(channelParams) : undefined;
+    } catch (e) {
+      channelParams = undefined;
+      error = new Error(`invalid channel-params: ${e.message}`);
+    }
+
+    return {
+      name: this.getAttribute("name"),
+      url: this.getAttribute("url"),
+      transport: this.getAttribute("transport"),
+      streamName: this.getAttribute("stream-name"),
+      signedStreamName: this.getAttribute("signed-stream-name"),
+      channel: this.getAttribute("channel"),
+      channelParams,
+      // An existing cable instance can be set via the property
+      cable: this.cable,
+      // Reported by the source on connect
+      error,
+    };
+  }
+}
+
+window.customElements.define("anycable-log-source", AnyCableLogSourceElement);
@@ -0,0 +1,86 @@
+// Persisting the logs view state: sharing it via the page URL hash
+// and saving named filter presets to localStorage.
+
+const PRESETS_KEY_PREFIX = "anycable-logs:presets";
+
+const parseHash = () => new URLSearchParams(window.location.hash.slice(1));
+
+// Read the view state stored under the prefix (e.g., `#logs.filter=level:error&logs.paused=1`).
+// Returns null if the hash contains no state for the prefix
+export const readHashState = (prefix) => {
+  const params = parseHash();
+
+  const filter = params.get(`${prefix}.filter`);
+  const levels = params.get(`${prefix}.levels`);
+  const paused = params.get(`${prefix}.paused`);
+
+  if (filter === null && levels === null && paused === null) return null;
+
+  return {
+    filter: filter || "",
+    // An absent param means all levels; an empty one means none
+    levels: levels === null ? null : levels.split(",").filter(Boolean),
+    paused: paused === "1",
+  };
+};
+
+// Store the view state in the hash (without adding a history entry).
+// Other hash contents are preserved; blank values are omitted to keep links short.
+// Levels are only omitted when null (all levels), an empty list is written as a blank value
+export const writeHashState = (prefix, { filter, levels, paused }) => {
+  const current = window.location.hash.slice(1);
+
+  const parts = current
+    .split("&")
+    .filter((part) => part && !part.startsWith(`${prefix}.`));
+
+  const add = (key, val) => {
+    if (val) parts.push(`${prefix}.${key}=${encodeURIComponent(val)}`);
+  };
+
+  add("filter", filter);
+  if (levels) {
+    parts.push(`${prefix}.levels=${encodeURIComponent(levels.join(","))}`);
+  }
+  add("paused", paused ? "1" : "");
+
+  const hash = parts.join("&");
+
+  if (hash === current) return;
+
+  const url = new URL(window.location.href);
+  url.hash = hash;
+
+  window.history.replaceState(window.history.state, "", url);
+};
+
+const presetsKey = (scope) => `${PRESETS_KEY_PREFIX}:${scope || ""}`;
+
+// Presets are stored as `{ [name]: { filter, levels } }` per scope (see the element's _presetsScope).
+// The fallback scope is used when nothing is stored for the scope.
+// Storage errors (e.g., disabled storage) are ignored
+export const loadPresets = (scope, fallbackScope) => {
+  try {
+    const stored =
+      window.localStorage.getItem(presetsKey(scope)) ||
+      (fallbackScope !== undefined
+        ? window.localStorage.getItem(presetsKey(fallbackScope))
+        : null);
+
+    return JSON.parse(stored) || {};
+  } catch (e) {
+    return {};
+  }
+};
+
+export const storePresets = (scope, presets) => {
+  try {
+    if (Object.keys(presets).length) {
+      window.localStorage.setItem(presetsKey(scope), JSON.stringify(presets));
+    } else {
+      window.localStorage.removeItem(presetsKey(scope));
+    }
+  } catch (e) {
+    console.warn("failed to save logs filter presets", e);
+  }
+};
@@ -0,0 +1,44 @@
+// Counts events per time bucket over a sliding window
+// (by default, 5 minutes split into 5 second buckets)
+export class RateCounter {
+  constructor({ buckets = 60, interval = 5000 } = {}) {
+    this.size = buckets;
+    this.interval = interval;
+    this.counts = new Array(buckets).fill(0);
+    // Absolute bucket numbers (time / interval) the counts belong to
+    this.epochs = new Array(buckets).fill(-1);
+  }
+
+  add(count = 1, now = Date.now()) {
+    const epoch = Math.floor(now / this.interval);
+    const idx = epoch % this.size;
+
+    if (this.epochs[idx] !== epoch) {
+      this.epochs[idx] = epoch;
+      this.counts[idx] = 0;
+    }
+
+    this.counts[idx] += count;
+  }
+
+  // Per-second rates for every bucket in the window (oldest first).
+  // The current (incomplete) bucket is not included
+  rates(now = Date.now()) {
+    const current = Math.floor(now / this.interval);
+    const result = [];
+
+    for (let epoch = current - this.size; epoch < current; epoch++) {
+      const idx = ((epoch % this.size) + this.size) % this.size;
+      const count = this.epochs[idx] === epoch ? this.counts[idx] : 0;
+
+      result.push(count / (this.interval / 1000));
+    }
+
+    return result;
+  }
+
+  reset() {
+    this.counts.fill(0);
+    this.epochs.fill(-1);
+  }
+}
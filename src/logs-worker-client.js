@@ -0,0 +1,108 @@
+// Formats the worker knows how to parse (custom parsers are registered on the main thread only)
+const WORKER_FORMATS = ["json", "logfmt", "text"];
+
+/**
+ * Main thread side of the logs worker (see logs-worker.js).
+ * Sends raw messages to the worker and passes prepared lines back to the host element.
+ *
+ * Messages are queued until the worker reports it's ready; if the worker fails to start
+ * (e.g., module workers are not supported or blocked by CSP), the queued lines are handed
+ * back to the host to be processed on the main thread.
+ */
+export class LogsWorker {
+  static get supported() {
+    return typeof Worker !== "undefined";
+  }
+
+  static supportsFormat(format) {
+    return WORKER_FORMATS.includes(format);
+  }
+
+  constructor(host) {
+    this.host = host;
+    this.ready = false;
+    this.queue = [];
+    this.evicted = [];
+
+    this.worker = new Worker(new URL("./logs-worker.js", import.meta.url), {
+      type: "module",
+    });
+
+    this.worker.onmessage = ({ data: msg }) => this._handleMessage(msg);
+    this.worker.onerror = (e) => {
+      e.preventDefault();
+      this._fail(e.message || "failed to start logs worker");
+    };
+  }
+
+  configure(format, fields) {
+    this._post({ type: "config", format, fields });
+  }
+
+  filter(filter) {
+    this._post({ type: "filter", filter });
+  }
+
+  // Process either a raw message payload or already parsed entries
+  process(source, { str, entries }) {
+    this._post({ type: "lines", source: source.name, str, entries });
+  }
+
+  // Evicted IDs are sent in batches (lines are usually trimmed one by one)
+  evict(ids) {
+    if (!ids.length) return;
+
+    if (!this.evicted.length) {
+      queueMicrotask(() => {
+        this._post({ type: "evict", ids: this.evicted });
+        this.evicted = [];
+      });
+    }
+
+    this.evicted.push(...ids);
+  }
+
+  clear() {
+    this.evicted = [];
+    this._post({ type: "clear" });
+  }
+
+  terminate() {
+    this.worker.terminate();
+    this.queue.length = 0;
+  }
+
+  _post(msg) {
+    if (this.ready) {
+      this.worker.postMessage(msg);
+    } else {
+      this.queue.push(msg);
+    }
+  }
+
+  _handleMessage(msg) {
+    switch (msg.type) {
+      case "ready":
+        this.ready = true;
+        for (let queued of this.queue) this.worker.postMessage(queued);
+        this.queue.length = 0;
+        break;
+      case "lines":
+        this.host._handleWorkerLines(msg.lines);
+        break;
+      case "matches":
+        this.host._handleWorkerMatches(msg.filter, msg.ids);
+        break;
+      case "error":
+        this.host._handleWorkerError(new Error(msg.message));
+        break;
+    }
+  }
+
+  _fail(message) {
+    const pending = this.queue.filter((msg) => msg.type === "lines");
+
+    this.terminate();
+    this.host._handleWorkerFailure(new Error(message), pending);
+  }
+}
@@ -0,0 +1,131 @@
+// Web Worker running the heavy parts of the logs pipeline off the main thread:
+// parsing, flattening, compiling and matching lines against the filter query.
+//
+// Incoming messages:
+//
+//   { type: "config", format, fields }     -- parsing and fields mapping options
+//   { type: "filter", filter }             -- a new filter query
+//   { type: "lines", source, str }         -- a raw message payload to parse
+//   { type: "lines", source, entries }     -- already parsed log entries
+//   { type: "evict", ids }                 -- lines dropped from the element's buffer
+//   { type: "clear" }
+//
+// Outgoing messages:
+//
+//   { type: "ready" }                      -- the worker has started
+//   { type: "lines", lines }               -- prepared lines (batched) with `wid`, `matched` and
+//                                             `matchedFilter` (the filter `matched` is valid for) fields
+//   { type: "matches", filter, ids }       -- IDs of the lines matching the new filter
+//   { type: "error", message }
+import { getParser } from "./logs-parsers.js";
+import { parseQuery, QuerySyntaxError } from "./logs-query.js";
+import { prepareLine } from "./logs-pipeline.js";
+
+// Post results at most once per frame
+const BATCH_INTERVAL = 16;
+
+let format = "json";
+let fields = {};
+let filter = "";
+let query = null;
+
+// Prepared lines by worker IDs (to re-match them when the filter changes).
+// Only the fields the query matches against are kept (the element holds the rest)
+const store = new Map();
+let lastId = 0;
+
+let batch = [];
+let batchTimer;
+
+const flush = () => {
+  clearTimeout(batchTimer);
+  batchTimer = undefined;
+
+  if (!batch.length) return;
+
+  self.postMessage({ type: "lines", lines: batch });
+  batch = [];
+};
+
+const match = (line) => !query || query.match(line);
+
+const handleLines = ({ source, str, entries }) => {
+  if (str !== undefined) {
+    const parser = getParser(format);
+
+    if (!parser) throw new Error(`unknown log format: ${format}`);
+
+    const result = parser(str);
+
+    if (result === null || result === undefined) return;
+
+    entries = Array.isArray(result) ? result : [result];
+  }
+
+  for (let entry of entries) {
+    const line = prepareLine(entry, fields, source);
+
+    if (!line) continue;
+
+    line.wid = ++lastId;
+    line.source = source;
+    line.matched = match(line);
+    line.matchedFilter = filter;
+
+    store.set(line.wid, { wid: line.wid, raw: line.raw, data: line.data });
+    batch.push(line);
+  }
+
+  if (batch.length && !batchTimer) {
+    batchTimer = setTimeout(flush, BATCH_INTERVAL);
+  }
+};
+
+const handleFilter = (msg) => {
+  filter = msg.filter;
+
+  try {
+    query = parseQuery(filter);
+  } catch (e) {
+    if (!(e instanceof QuerySyntaxError)) throw e;
+    // Keep the last valid query (the same way the element does)
+  }
+
+  // Make sure the pending lines are delivered before the matches
+  flush();
+
+  const ids = [];
+
+  for (let line of store.values()) {
+    if (match(line)) ids.push(line.wid);
+  }
+
+  self.postMessage({ type: "matches", filter, ids });
+};
+
+self.onmessage = ({ data: msg }) => {
+  try {
+    switch (msg.type) {
+      case "config":
+        format = msg.format;
+        fields = msg.fields;
+        break;
+      case "filter":
+        handleFilter(msg);
+        break;
+      case "lines":
+        handleLines(msg);
+        break;
+      case "evict":
+        for (let id of msg.ids) store.delete(id);
+        break;
+      case "clear":
+        store.clear();
+        break;
+    }
+  } catch (e) {
+    self.postMessage({ type: "error", message: e.message });
+  }
+};
+
+self.postMessage({ type: "ready" });